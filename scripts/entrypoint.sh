@@ -92,6 +92,7 @@ log "Starting Blob Explorer"
 log "BASE_URL: $BASE_URL"
 log "DOWNLOAD_BASE: $DOWNLOAD_BASE"
 log "UPDATE_INTERVAL: ${UPDATE_INTERVAL}s"
+log "DELTA_HISTORY: ${DELTA_HISTORY}"
 
 # Ensure directories exist (created in Dockerfile, but mkdir -p is safe if bind-mounted)
 mkdir -p "$CONFIG_DIR" "$CACHE_DIR" "$DATA_DIR" 2>/dev/null || true
@@ -129,13 +130,16 @@ if [ -f "$CACHE_JSON" ]; then
     # Check if cache is for a different BASE_URL
     if is_cache_url_mismatch; then
         log "BASE_URL has changed, invalidating cache and fetching fresh data..."
-        rm -f "$CACHE_JSON" "${CACHE_JSON}.gz" "$CACHE_METADATA"
+        rm -f "$CACHE_JSON" "${CACHE_JSON}.gz" "$CACHE_METADATA" "$CACHE_DIR"/downloads.compact.ndjson*
+        rm -rf "$CACHE_DIR/deltas"
         /scripts/update-downloads.sh
     else
         log "Found cached data, copying to data directory..."
         cp "$CACHE_JSON" "$DATA_DIR/downloads.json"
         [ -f "${CACHE_JSON}.gz" ] && cp "${CACHE_JSON}.gz" "$DATA_DIR/downloads.json.gz"
+        [ -f "$CACHE_DIR/downloads.compact.ndjson" ] && cp "$CACHE_DIR"/downloads.compact.ndjson* "$DATA_DIR/"
         [ -f "$CACHE_METADATA" ] && cp "$CACHE_METADATA" "$DATA_DIR/metadata.json"
+        [ -d "$CACHE_DIR/deltas" ] && cp -r "$CACHE_DIR/deltas" "$DATA_DIR/"
         
         # Check if cache is stale
         if is_cache_stale; then
@@ -4,22 +4,46 @@ Fetch blob list from Azure Blob Storage container.
 
 Usage:
     fetch_blobs.py --base-url URL --output FILE [--download-base URL]
+                   [--compact-output FILE] [--config FILE]
+                   [--version N --previous FILE --previous-version N --delta-dir DIR]
+
+The compact listing (--compact-output) is newline-delimited JSON: a header
+object with the download base and interned folder prefixes and content types,
+then one row per blob:
+    [prefix index, file name, length, last modified (epoch seconds), content type index,
+     Content-MD5 (base64, '' when the blob has none), ETag]
+Fields are only ever appended to a row, so older browsers read newer rows.
+Download URLs are derived by the browser from the header's downloadBase.
+
+When a previous listing is given, a delta file (added, removed and changed
+blobs) is written to DIR/<previous-version>-<version>.json so browsers with a
+cached copy can update it without re-downloading the whole listing.
+
+Blobs hidden by the visibility section of config.json (include/exclude
+patterns and the zero-byte policy) are left out of every output; the browser
+applies the same rules (site/visibility.js).
 
 Environment variables (alternative to arguments):
     BASE_URL        - Azure Blob Storage container URL
+    CONFIG_FILE     - config.json with visibility rules (default: /config/config.json)
     DOWNLOAD_BASE   - Base URL for download links (defaults to BASE_URL)
 """
 
 import argparse
+import email.utils
 import gzip
 import json
 import os
+import re
 import sys
 import urllib.parse
 import urllib.request
 import xml.etree.ElementTree as ET
 from datetime import datetime
 
+# Bump when the compact row layout changes; browsers skip versions they don't understand
+COMPACT_FORMAT_VERSION = 1
+
 
 def log(msg: str) -> None:
     """Print a timestamped log message."""
@@ -70,7 +94,9 @@ def fetch_page(base_url: str, download_base: str, marker: str | None = None) ->
                 "Url": f"{download_base}/{encoded_name}",
                 "Length": int(props.findtext('Content-Length', '0')) if props is not None else 0,
                 "LastModified": props.findtext('Last-Modified', '') if props is not None else '',
-                "ContentType": props.findtext('Content-Type', '') if props is not None else ''
+                "ContentType": props.findtext('Content-Type', '') if props is not None else '',
+                "ContentMD5": props.findtext('Content-MD5', '') if props is not None else '',
+                "Etag": props.findtext('Etag', '') if props is not None else ''
             }
             page_blobs.append(blob_data)
     
@@ -107,6 +133,202 @@ def fetch_all_blobs(base_url: str, download_base: str) -> list[dict]:
     return blobs
 
 
+def glob_to_regex(glob: str) -> str:
+    """Convert a glob to regex source: * and ? stay within a folder, ** spans folders."""
+    source = ''
+    i = 0
+    while i < len(glob):
+        ch = glob[i]
+        if glob.startswith('**/', i):
+            source += '(?:.*/)?'  # "**/" also matches no folders at all
+            i += 3
+            continue
+        if glob.startswith('**', i):
+            source += '.*'
+            i += 2
+            continue
+        if ch == '*':
+            source += '[^/]*'
+        elif ch == '?':
+            source += '[^/]'
+        else:
+            source += re.escape(ch)
+        i += 1
+    return source
+
+
+def compile_visibility_pattern(pattern: str):
+    """
+    Compile one visibility pattern into a test over blob names.
+    
+    Same semantics as site/visibility.js: no slash matches any folder or file
+    name, a trailing slash matches folder names only, a slash anchors at the
+    root (including everything beneath), and /regex/flags is a regular
+    expression tested against the full path.
+    """
+    regex = re.fullmatch(r'/(.+)/([a-z]*)', pattern)
+    if regex:
+        compiled = re.compile(regex.group(1), re.IGNORECASE if 'i' in regex.group(2) else 0)
+        return lambda name: compiled.search(name) is not None
+    
+    folder_only = pattern.endswith('/')
+    glob = pattern.removeprefix('/').removesuffix('/')
+    
+    if '/' not in glob:
+        compiled = re.compile(glob_to_regex(glob))
+        def match_segment(name: str) -> bool:
+            parts = name.split('/')
+            return any(compiled.fullmatch(part) for part in (parts[:-1] if folder_only else parts))
+        return match_segment
+    
+    compiled = re.compile(glob_to_regex(glob) + ('/' if folder_only else '(?:/|$)'))
+    return lambda name: compiled.match(name) is not None
+
+
+def load_visibility_rules(config_file: str | None):
+    """
+    Read the visibility section of config.json.
+    
+    Returns:
+        Function telling whether a blob dict should be published
+    """
+    visibility = {}
+    if config_file and os.path.isfile(config_file):
+        try:
+            with open(config_file) as f:
+                visibility = json.load(f).get('visibility') or {}
+        except (OSError, json.JSONDecodeError) as e:
+            log(f"WARNING: Could not read visibility rules from {config_file}: {e}")
+    
+    def compile_all(patterns: list) -> list:
+        tests = []
+        for pattern in patterns or []:
+            try:
+                tests.append(compile_visibility_pattern(str(pattern)))
+            except re.error as e:
+                log(f"WARNING: Ignoring invalid visibility pattern \"{pattern}\": {e}")
+        return tests
+    
+    include = compile_all(visibility.get('include'))
+    exclude = compile_all(visibility.get('exclude'))
+    show_zero_byte = visibility.get('zeroByteBlobs') == 'show'
+    
+    def is_visible(blob: dict) -> bool:
+        if not show_zero_byte and blob["Length"] <= 0:
+            return False
+        if include and not any(test(blob["Name"]) for test in include):
+            return False
+        return not any(test(blob["Name"]) for test in exclude)
+    
+    return is_visible
+
+
+def to_epoch(http_date: str) -> int:
+    """Convert an RFC 1123 date (as returned by Azure) to epoch seconds, 0 if missing."""
+    if not http_date:
+        return 0
+    try:
+        return int(email.utils.parsedate_to_datetime(http_date).timestamp())
+    except (TypeError, ValueError):
+        return 0
+
+
+def write_compact_listing(blobs: list[dict], download_base: str, output: str) -> None:
+    """
+    Write the compact listing format.
+    
+    Args:
+        blobs: List of blob dictionaries
+        download_base: Base URL the browser uses to build download links
+        output: Output file path
+    """
+    prefixes: dict[str, int] = {}
+    content_types: dict[str, int] = {}
+    rows = []
+    
+    for blob in blobs:
+        folder, _, file_name = blob["Name"].rpartition('/')
+        prefix_index = prefixes.setdefault(folder, len(prefixes))
+        type_index = content_types.setdefault(blob["ContentType"], len(content_types))
+        rows.append([
+            prefix_index, file_name, blob["Length"], to_epoch(blob["LastModified"]), type_index,
+            blob.get("ContentMD5", ""), blob.get("Etag", "")
+        ])
+    
+    header = {
+        "format": "compact",
+        "version": COMPACT_FORMAT_VERSION,
+        "downloadBase": download_base,
+        "count": len(rows),
+        "prefixes": list(prefixes),
+        "contentTypes": list(content_types)
+    }
+    
+    with open(output, 'w') as f:
+        f.write(json.dumps(header, separators=(',', ':')) + '\n')
+        for row in rows:
+            f.write(json.dumps(row, separators=(',', ':')) + '\n')
+
+
+def compute_delta(previous: list[dict], current: list[dict]) -> dict:
+    """
+    Compare two blob listings.
+    
+    Args:
+        previous: Listing from the previous update
+        current: Freshly fetched listing
+    
+    Returns:
+        Dict with 'added' and 'changed' blob dicts and 'removed' blob names
+    """
+    previous_by_name = {blob["Name"]: blob for blob in previous}
+    current_names = set()
+    added = []
+    changed = []
+    
+    for blob in current:
+        name = blob["Name"]
+        current_names.add(name)
+        old = previous_by_name.get(name)
+        if old is None:
+            added.append(blob)
+        elif old != blob:
+            changed.append(blob)
+    
+    removed = [name for name in previous_by_name if name not in current_names]
+    return {"added": added, "removed": removed, "changed": changed}
+
+
+def write_delta(previous_file: str, previous_version: str, version: str,
+                blobs: list[dict], delta_dir: str) -> None:
+    """Write the delta between the previous listing and the new one."""
+    try:
+        with open(previous_file) as f:
+            previous = json.load(f)
+    except (OSError, json.JSONDecodeError) as e:
+        log(f"Skipping delta, previous listing unreadable: {e}")
+        return
+    
+    # A listing from before a field was added would show every blob as changed; without
+    # a delta, cached clients reload the full listing instead (and pick up the new field)
+    new_fields = set(blobs[0]) - set(previous[0]) if blobs and previous else set()
+    if new_fields:
+        log(f"Skipping delta, previous listing lacks {', '.join(sorted(new_fields))}")
+        return
+    
+    delta = compute_delta(previous, blobs)
+    delta["from"] = int(previous_version)
+    delta["to"] = int(version)
+    
+    os.makedirs(delta_dir, exist_ok=True)
+    delta_file = os.path.join(delta_dir, f"{previous_version}-{version}.json")
+    with open(delta_file, 'w') as f:
+        json.dump(delta, f, separators=(',', ':'))
+    
+    log(f"Delta written to {delta_file} "
+        f"({len(delta['added'])} added, {len(delta['removed'])} removed, {len(delta['changed'])} changed)")
+
+
 def main() -> int:
     """Main entry point."""
     parser = argparse.ArgumentParser(
@@ -127,6 +349,31 @@ def main() -> int:
         required=True,
         help='Output JSON file path'
     )
+    parser.add_argument(
+        '--compact-output',
+        help='Also write the compact listing format to this file'
+    )
+    parser.add_argument(
+        '--config',
+        default=os.environ.get('CONFIG_FILE', '/config/config.json'),
+        help='config.json with visibility rules (or set CONFIG_FILE env var; skipped if missing)'
+    )
+    parser.add_argument(
+        '--version',
+        help='Version number of this listing (used to name the delta file)'
+    )
+    parser.add_argument(
+        '--previous',
+        help='Previous listing JSON file to compute a delta against'
+    )
+    parser.add_argument(
+        '--previous-version',
+        help='Version number of the previous listing'
+    )
+    parser.add_argument(
+        '--delta-dir',
+        help='Directory to write the delta file to'
+    )
     
     args = parser.parse_args()
     
@@ -143,11 +390,27 @@ def main() -> int:
         blobs = fetch_all_blobs(args.base_url, download_base)
         log(f"Fetched {len(blobs)} blobs total")
         
-        # Write JSON output
+        is_visible = load_visibility_rules(args.config)
+        visible = [blob for blob in blobs if is_visible(blob)]
+        if len(visible) < len(blobs):
+            log(f"Hid {len(blobs) - len(visible)} blobs (visibility rules)")
+        blobs = visible
+        
+        # Write JSON output (legacy format, kept for older clients)
         with open(args.output, 'w') as f:
-            json.dump(blobs, f, indent=2)
+            json.dump(blobs, f, separators=(',', ':'))
         
         log(f"JSON file written to {args.output}")
+        
+        if args.compact_output:
+            write_compact_listing(blobs, download_base, args.compact_output)
+            log(f"Compact listing written to {args.compact_output}")
+        
+        # Write delta against the previous listing if we know both versions
+        if args.version and args.previous and args.previous_version and args.delta_dir:
+            if os.path.isfile(args.previous):
+                write_delta(args.previous, args.previous_version, args.version, blobs, args.delta_dir)
+        
         return 0
         
     except urllib.error.URLError as e:
@@ -10,6 +10,7 @@ read_config() {
     python3 << PYTHON_SCRIPT
 import json
 import os
+import shutil
 import sys
 
 config_file = "$CONFIG_FILE"
@@ -60,11 +61,30 @@ favorites = config.get('favorites', [])
 # Filter out entries with _comment (example entries)
 favorites = [f for f in favorites if '_comment' not in f]
 
+# Get file type categories from config; icon files are copied next to the site assets
+file_types = [t for t in config.get('fileTypes', []) if '_comment' not in t]
+icons_dir = '/usr/share/nginx/html/assets/file-types'
+for file_type in file_types:
+    icon = file_type.get('icon', '')
+    if not os.path.splitext(icon)[1]:
+        continue  # Built-in icon name (or none)
+    icon_src = os.path.join('/config', icon)
+    if os.path.isfile(icon_src):
+        os.makedirs(icons_dir, exist_ok=True)
+        icon_name = icon.replace('/', '-')
+        shutil.copy2(icon_src, os.path.join(icons_dir, icon_name))
+        file_type['iconUrl'] = 'assets/file-types/' + icon_name
+    else:
+        print(f"Warning: fileTypes icon not found: {icon_src}", file=sys.stderr)
+    del file_type['icon']
+
+# Visibility rules (include/exclude patterns, zero-byte policy); see site/visibility.js
+visibility = config.get('visibility', {})
+
 # Handle logoFile: if set, resolve to a served URL path
 if logo_file:
     logo_src = os.path.join('/config', logo_file)
     if os.path.isfile(logo_src):
-        import shutil
         logo_dest = os.path.join('/usr/share/nginx/html/assets', 'custom-logo' + os.path.splitext(logo_file)[1])
         shutil.copy2(logo_src, logo_dest)
         logo_url = 'assets/custom-logo' + os.path.splitext(logo_file)[1]
@@ -80,7 +100,9 @@ window.APP_CONFIG = {{
     logoFile: {json.dumps(logo_file)},
     downloadBase: {json.dumps(download_base)},
     allowCustomUrl: {str(allow_custom_url).lower()},
-    favorites: {json.dumps(favorites, indent=8)}
+    favorites: {json.dumps(favorites, indent=8)},
+    fileTypes: {json.dumps(file_types, indent=8)},
+    visibility: {json.dumps(visibility, indent=8)}
 }};
 '''
 
@@ -122,6 +144,25 @@ if [ -n "$EFFECTIVE_SITE_DESCRIPTION" ] && [ "$EFFECTIVE_SITE_DESCRIPTION" != "B
     sed -i "s|content=\"Browse and download files from Azure Blob Storage\"|content=\"${EFFECTIVE_SITE_DESCRIPTION}\"|g" /usr/share/nginx/html/index.html
 fi
 
+# Update web app manifest with the effective title and description
+# (passed through the environment, so quotes or backslashes in them can't break the script)
+MANIFEST_NAME="${EFFECTIVE_SITE_TITLE:-Blob Explorer}" \
+MANIFEST_DESCRIPTION="${EFFECTIVE_SITE_DESCRIPTION:-Browse and download files from Azure Blob Storage}" \
+python3 << 'MANIFEST_SCRIPT'
+import json
+import os
+
+manifest_file = '/usr/share/nginx/html/manifest.webmanifest'
+with open(manifest_file) as f:
+    manifest = json.load(f)
+
+manifest['name'] = manifest['short_name'] = os.environ['MANIFEST_NAME']
+manifest['description'] = os.environ['MANIFEST_DESCRIPTION']
+
+with open(manifest_file, 'w') as f:
+    json.dump(manifest, f, indent=4)
+MANIFEST_SCRIPT
+
 # Inject analytics script if file path is provided
 if [ -n "$EFFECTIVE_ANALYTICS_SCRIPT" ]; then
     ANALYTICS_FILE="/config/${EFFECTIVE_ANALYTICS_SCRIPT}"
@@ -6,59 +6,150 @@ DATA_DIR="/usr/share/nginx/html/data"
 CACHE_DIR="/cache"
 JSON_FILE="$DATA_DIR/downloads.json"
 TEMP_FILE="$DATA_DIR/downloads.json.tmp"
+COMPACT_FILE="$DATA_DIR/downloads.compact.ndjson"
+COMPACT_TEMP_FILE="$DATA_DIR/downloads.compact.ndjson.tmp"
+METADATA_FILE="$DATA_DIR/metadata.json"
+DELTA_DIR="$DATA_DIR/deltas"
+
+# Number of delta files to keep (browsers older than this re-download the full listing)
+DELTA_HISTORY="${DELTA_HISTORY:-10}"
 
 log() {
     echo "[$(date -Iseconds)] $*"
 }
 
+# Read the version of the currently published listing (empty if unknown)
+read_current_version() {
+    [ -f "$METADATA_FILE" ] || return 0
+    python3 -c "
+import json
+try:
+    with open('$METADATA_FILE') as f:
+        print(json.load(f).get('version', ''))
+except Exception:
+    print('')
+" 2>/dev/null
+}
+
 fetch_downloads() {
     log "Starting download list update from $BASE_URL..."
     
-    # Fetch blobs using Python script
+    PREVIOUS_VERSION=$(read_current_version)
+    VERSION=$(date +%s)
+    
+    # Fetch blobs using Python script (also writes a delta against the current listing)
     if ! python3 /scripts/fetch_blobs.py \
         --base-url "$BASE_URL" \
         --download-base "${DOWNLOAD_BASE:-$BASE_URL}" \
-        --output "$TEMP_FILE"; then
+        --output "$TEMP_FILE" \
+        --compact-output "$COMPACT_TEMP_FILE" \
+        --config /config/config.json \
+        --version "$VERSION" \
+        --previous "$JSON_FILE" \
+        --previous-version "$PREVIOUS_VERSION" \
+        --delta-dir "$DELTA_DIR"; then
         log "Fetch script failed!"
-        rm -f "$TEMP_FILE"
+        rm -f "$TEMP_FILE" "$COMPACT_TEMP_FILE" "$DELTA_DIR/$PREVIOUS_VERSION-$VERSION.json"
         return 1
     fi
     
     # Validate JSON
     if ! python3 -c "import json; json.load(open('$TEMP_FILE'))" 2>/dev/null; then
         log "ERROR: Generated JSON is invalid!"
-        rm -f "$TEMP_FILE"
+        rm -f "$TEMP_FILE" "$COMPACT_TEMP_FILE" "$DELTA_DIR/$PREVIOUS_VERSION-$VERSION.json"
         return 1
     fi
     
-    # Move temp file to final location
+    # Move temp files to final location
     mv "$TEMP_FILE" "$JSON_FILE"
-    log "Saved to $JSON_FILE"
+    mv "$COMPACT_TEMP_FILE" "$COMPACT_FILE"
+    log "Saved to $JSON_FILE and $COMPACT_FILE"
     
-    # Write metadata file with update timestamp and source URL
-    METADATA_FILE="$DATA_DIR/metadata.json"
-    BLOB_COUNT=$(python3 -c "import json; print(len(json.load(open('$JSON_FILE'))))")
-    echo "{\"lastUpdated\": \"$(date -Iseconds)\", \"blobCount\": $BLOB_COUNT, \"baseUrl\": \"$BASE_URL\"}" > "$METADATA_FILE"
+    # Write metadata file with update timestamp, version, source URL, listing formats and the available deltas
+    # Uncompressed sizes let the browser show accurate progress when nginx serves the .gz
+    JSON_BYTES=$(wc -c < "$JSON_FILE" | tr -d ' ')
+    COMPACT_BYTES=$(wc -c < "$COMPACT_FILE" | tr -d ' ')
+    LAST_UPDATED=$(date -Iseconds)
+    python3 << PYTHON_SCRIPT
+import json
+import os
+
+delta_dir = "$DELTA_DIR"
+history = int("$DELTA_HISTORY" or 0)
+
+with open("$JSON_FILE") as f:
+    blob_count = len(json.load(f))
+
+# Delta files are named <from>-<to>.json; keep only the newest ones
+deltas = []
+if os.path.isdir(delta_dir):
+    for name in os.listdir(delta_dir):
+        stem, ext = os.path.splitext(name)
+        parts = stem.split('-')
+        if ext != '.json' or len(parts) != 2 or not all(p.isdigit() for p in parts):
+            continue
+        deltas.append((int(parts[1]), int(parts[0]), name))
+    deltas.sort(reverse=True)
+    for _, _, name in deltas[history:]:
+        os.remove(os.path.join(delta_dir, name))
+    deltas = deltas[:history]
+
+delta_entries = []
+for to_version, from_version, name in sorted(deltas):
+    with open(os.path.join(delta_dir, name)) as f:
+        delta = json.load(f)
+    delta_entries.append({
+        "from": from_version,
+        "to": to_version,
+        "file": f"deltas/{name}",
+        "added": len(delta.get("added", [])),
+        "removed": len(delta.get("removed", [])),
+        "changed": len(delta.get("changed", []))
+    })
+
+metadata = {
+    "lastUpdated": "$LAST_UPDATED",
+    "version": int("$VERSION"),
+    "blobCount": blob_count,
+    "baseUrl": "$BASE_URL",
+    # Listing formats in order of preference; clients pick the first one they understand
+    "listings": [
+        {"format": "compact", "version": 1, "file": "downloads.compact.ndjson", "bytes": int("$COMPACT_BYTES")},
+        {"format": "legacy", "version": 1, "file": "downloads.json", "bytes": int("$JSON_BYTES")}
+    ],
+    "deltas": delta_entries
+}
+
+with open("$METADATA_FILE", "w") as f:
+    json.dump(metadata, f, indent=2)
+PYTHON_SCRIPT
     log "Wrote metadata to $METADATA_FILE"
     
     # Pre-compress with gzip
     log "Compressing with gzip..."
     gzip -9 -k -f "$JSON_FILE"
-    log "Compressed to ${JSON_FILE}.gz"
+    gzip -9 -k -f "$COMPACT_FILE"
+    log "Compressed to ${JSON_FILE}.gz and ${COMPACT_FILE}.gz"
     
     # Copy to cache directory for persistence across container restarts
     if [ -d "$CACHE_DIR" ]; then
         log "Saving to cache directory..."
         cp "$JSON_FILE" "$CACHE_DIR/downloads.json"
         cp "${JSON_FILE}.gz" "$CACHE_DIR/downloads.json.gz"
+        cp "$COMPACT_FILE" "$CACHE_DIR/downloads.compact.ndjson"
+        cp "${COMPACT_FILE}.gz" "$CACHE_DIR/downloads.compact.ndjson.gz"
         cp "$METADATA_FILE" "$CACHE_DIR/metadata.json"
+        rm -rf "$CACHE_DIR/deltas"
+        [ -d "$DELTA_DIR" ] && cp -r "$DELTA_DIR" "$CACHE_DIR/deltas"
         log "Cache updated"
     fi
     
     # Show file sizes
     JSON_SIZE=$(du -h "$JSON_FILE" | cut -f1)
     GZ_SIZE=$(du -h "${JSON_FILE}.gz" | cut -f1)
-    log "File sizes: JSON=$JSON_SIZE, Gzipped=$GZ_SIZE"
+    COMPACT_SIZE=$(du -h "$COMPACT_FILE" | cut -f1)
+    COMPACT_GZ_SIZE=$(du -h "${COMPACT_FILE}.gz" | cut -f1)
+    log "File sizes: JSON=$JSON_SIZE, Gzipped=$GZ_SIZE, Compact=$COMPACT_SIZE, Compact gzipped=$COMPACT_GZ_SIZE"
     
     log "Update complete!"
 }
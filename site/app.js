@@ -3,10 +3,16 @@ let allDownloads = [];
 let filteredDownloads = [];
 let currentPath = [];
 let activeFileTypes = new Set(); // Empty = all types shown
+let activeDateRange = null; // { days } or { from, to } (see Date and Size Range Filters)
+let activeSizeRange = null; // { min, max } in bytes, max exclusive
+let activeFacetFolders = new Set(); // Folder paths picked in the facets panel (empty = everywhere)
 let currentPage = 1;
-const itemsPerPage = 100;
-let worker = null;
-let sortBy = 'date-desc'; // date-desc, date-asc, size-desc, size-asc, name-asc
+let itemsPerPage = 100; // Page size in pagination mode (see LIST_MODE_KEY)
+let worker = null; // Data worker (see data-worker.js)
+let virtualList = null; // Active virtual list when in infinite scroll mode
+let sortBy = 'date-desc'; // date-desc, date-asc, size-desc, size-asc, name-asc, name-desc, natural-asc, natural-desc, relevance (while searching)
+let sortBeforeSearch = null; // Sort to restore when the search is cleared
+let searchScope = 'all'; // 'all' (whole container) or 'folder' (under currentPath)
 
 // Performance optimizations
 let folderTree = new Map(); // Hierarchical folder structure for O(1) navigation
@@ -25,6 +31,7 @@ let fileTypeCache = new Map(); // Cache file type info to avoid repeated calcula
 //   blob-explorer:copy-link      - User copied a download link
 //   blob-explorer:folder-navigate - User navigated to a folder
 //   blob-explorer:filter-change  - User changed file type filters
+//   blob-explorer:range-filter-change - User changed the date or size range filter
 //   blob-explorer:theme-change   - User toggled theme
 //   blob-explorer:favorite-add   - User added a favorite
 //   blob-explorer:favorite-remove - User removed a favorite
@@ -77,6 +84,36 @@ const BlobExplorerAnalytics = {
         this.dispatch('download', { fileName, filePath, fileSize, fileType });
     },
 
+    /** Track copying the links of all selected files */
+    bulkCopyLinks(count) {
+        this.dispatch('bulk-copy-links', { count });
+    },
+
+    /** Track downloading all selected files (each file also fires a download event) */
+    bulkDownload(count, totalBytes) {
+        this.dispatch('bulk-download', { count, totalBytes });
+    },
+
+    /** Track exporting a listing of the current folder, search results or selection */
+    bulkExport(format, count, scope) {
+        this.dispatch('bulk-export', { format, count, scope });
+    },
+
+    /** Track saving a folder or the selection as a ZIP archive */
+    zipDownload(fileName, count, totalBytes) {
+        this.dispatch('zip-download', { fileName, count, totalBytes });
+    },
+
+    /** Track checking a local file against a listed blob's MD5 */
+    verifyFile(fileName, filePath, result) {
+        this.dispatch('verify-file', { fileName, filePath, result });
+    },
+
+    /** Track opening a file in the preview panel */
+    preview(fileName, filePath, kind) {
+        this.dispatch('preview', { fileName, filePath, kind });
+    },
+
     /** Track copy link action */
     copyLink(fileName, filePath) {
         this.dispatch('copy-link', { fileName, filePath });
@@ -92,6 +129,21 @@ const BlobExplorerAnalytics = {
         this.dispatch('filter-change', { activeFilters, totalFilters });
     },
 
+    /** Track date/size range filter changes (value as in the URL, '' when cleared) */
+    rangeFilterChange(filter, value) {
+        this.dispatch('range-filter-change', { filter, value });
+    },
+
+    /** Track a value picked (or unpicked) in the facets panel */
+    facetSelect(facet, value, selected) {
+        this.dispatch('facet-select', { facet, value, selected });
+    },
+
+    /** Track switching between the list, table and grid views */
+    viewChange(view) {
+        this.dispatch('view-change', { view });
+    },
+
     /** Track theme toggle */
     themeChange(theme) {
         this.dispatch('theme-change', { theme });
@@ -159,21 +211,29 @@ function makeListItemAccessible(element, clickHandler) {
             clickHandler(e);
         } else if (e.key === 'ArrowDown') {
             e.preventDefault();
-            const next = element.nextElementSibling;
-            if (next && next.getAttribute('tabindex') === '0') {
-                next.focus();
-            }
+            focusAdjacentListItem(element, 1);
         } else if (e.key === 'ArrowUp') {
             e.preventDefault();
-            const prev = element.previousElementSibling;
-            if (prev && prev.getAttribute('tabindex') === '0') {
-                prev.focus();
-            }
+            focusAdjacentListItem(element, -1);
         }
     });
     element.addEventListener('click', clickHandler);
 }
 
+// Move focus to the next (step 1) or previous (step -1) list row
+// In infinite scroll mode the target row may not be rendered yet, so the virtual list brings it in.
+function focusAdjacentListItem(element, step) {
+    if (virtualList && element.dataset.index !== undefined) {
+        virtualList.focusIndex(Number(element.dataset.index) + step);
+        return;
+    }
+    
+    const sibling = step > 0 ? element.nextElementSibling : element.previousElementSibling;
+    if (sibling && sibling.getAttribute('tabindex') === '0') {
+        sibling.focus();
+    }
+}
+
 // User Favorites (stored in localStorage)
 const USER_FAVORITES_KEY = 'userFavorites';
 
@@ -223,25 +283,123 @@ function deleteUserFavorite(id) {
 }
 
 // IndexedDB for caching
+// Listings are cached per source: the server's own listing plus each custom storage URL.
+// `downloads` holds the listing records, `sources` holds lightweight info for the settings UI.
+// `transfers` and `transferChunks` belong to the download manager: its queue and the chunks
+// fetched so far of files that are not written straight to disk.
 const DB_NAME = 'BlobExplorerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = 'downloads';
+const SOURCES_STORE_NAME = 'sources';
+const TRANSFERS_STORE_NAME = 'transfers';
+const TRANSFER_CHUNKS_STORE_NAME = 'transferChunks';
+
+// Cache key for the listing published by this server
+const SERVER_SOURCE = 'server';
+
+// Evict least-recently-used sources once usage would pass this share of the browser quota
+const CACHE_QUOTA_RATIO = 0.8;
+
+// Source whose listing is currently displayed
+let activeSource = SERVER_SOURCE;
+
+// Switch the displayed source; an update offered for the server listing doesn't apply to another one
+function setActiveSource(source) {
+    if (source === activeSource) return;
+    activeSource = source;
+    pendingMetadata = null;
+    hideUpdateBanner();
+}
+
+// Open connection, shared by every caller (null until first needed or after it closes)
+let dbPromise = null;
 
 // Initialize IndexedDB
 function initDB() {
-    return new Promise((resolve, reject) => {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
         
+        let blocked = false;
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => {
+            const db = request.result;
+            if (blocked) {
+                db.close(); // Opened after the blocking tab let go; callers have moved on
+                return;
+            }
+            // Let a newer version of the app open the database in another tab; reopen on next use
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            db.onclose = () => {
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        // Another tab holds an older version open: give up rather than wait, so callers fall back
+        // to the network until it closes
+        request.onblocked = () => {
+            blocked = true;
+            reject(new Error('The cache database is in use by an older version of this page in another tab'));
+        };
         
         request.onupgradeneeded = (e) => {
             const db = e.target.result;
             if (!db.objectStoreNames.contains(STORE_NAME)) {
                 db.createObjectStore(STORE_NAME);
             }
+            if (!db.objectStoreNames.contains(SOURCES_STORE_NAME)) {
+                db.createObjectStore(SOURCES_STORE_NAME, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(TRANSFERS_STORE_NAME)) {
+                db.createObjectStore(TRANSFERS_STORE_NAME, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(TRANSFER_CHUNKS_STORE_NAME)) {
+                db.createObjectStore(TRANSFER_CHUNKS_STORE_NAME); // Keyed by [transfer id, offset]
+            }
+            // Version 1 kept a single unkeyed listing that may belong to any source; drop it
+            if (e.oldVersion < 2) {
+                e.target.transaction.objectStore(STORE_NAME).delete('allDownloads');
+            }
         };
     });
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+// Get the cache key for a custom storage URL
+function getCustomSourceKey(url) {
+    return `custom:${url}`;
+}
+
+// Get a display label for a cache source (without query params such as SAS tokens)
+function getSourceLabel(key) {
+    if (key === SERVER_SOURCE) return 'Default storage';
+    try {
+        const parsed = new URL(key.replace(/^custom:/, ''));
+        return `${parsed.hostname}${parsed.pathname}`;
+    } catch {
+        return key;
+    }
+}
+
+// Rough in-memory/on-disk size of a listing (UTF-16 strings plus per-object overhead) and its search index
+function estimateListingSize(downloads, searchIndex = null) {
+    let bytes = 0;
+    downloads.forEach(download => {
+        bytes += 64 + 2 * (download.Name.length + download.Url.length +
+            (download.LastModified || '').length + (download.ContentType || '').length +
+            (download.ContentMD5 || '').length + (download.Etag || '').length);
+    });
+    if (searchIndex) {
+        bytes += searchIndex.postings.byteLength + searchIndex.offsets.byteLength + searchIndex.grams.length * 16;
+    }
+    return bytes;
 }
 
 // Format relative time (e.g., "2 hours ago")
@@ -262,19 +420,32 @@ function formatRelativeTime(dateString) {
     return date.toLocaleDateString();
 }
 
+// "Last updated" label state; the relative time is re-rendered periodically (see initializeLiveUpdates)
+let lastUpdatedLabel = null; // { prefix, timestamp }
+
+// Show when the listing on screen was last updated (e.g. "Last updated 2 hours ago")
+function setLastUpdated(prefix, timestamp) {
+    lastUpdatedLabel = { prefix, timestamp };
+    renderLastUpdated();
+}
+
+function renderLastUpdated() {
+    const lastUpdatedEl = document.getElementById('lastUpdated');
+    if (!lastUpdatedEl || !lastUpdatedLabel) return;
+    
+    lastUpdatedEl.textContent = `${lastUpdatedLabel.prefix} ${formatRelativeTime(lastUpdatedLabel.timestamp)}`;
+    lastUpdatedEl.title = new Date(lastUpdatedLabel.timestamp).toLocaleString();
+    renderOfflineBanner();
+}
+
 // Fetch metadata and optionally display last updated timestamp
 async function fetchMetadata(updateUI = true) {
     try {
         const response = await fetch('data/metadata.json', { cache: 'no-cache' });
         if (response.ok) {
             const metadata = await response.json();
-            if (updateUI) {
-                const lastUpdatedEl = document.getElementById('lastUpdated');
-                if (lastUpdatedEl && metadata.lastUpdated) {
-                    const relativeTime = formatRelativeTime(metadata.lastUpdated);
-                    lastUpdatedEl.textContent = `Last updated ${relativeTime}`;
-                    lastUpdatedEl.title = new Date(metadata.lastUpdated).toLocaleString();
-                }
+            if (updateUI && metadata.lastUpdated) {
+                setLastUpdated('Last updated', metadata.lastUpdated);
             }
             return metadata;
         }
@@ -284,16 +455,25 @@ async function fetchMetadata(updateUI = true) {
     return null;
 }
 
-// Get cached data
-async function getCachedData() {
+// Get cached data for a source (defaults to this server's listing)
+async function getCachedData(source = SERVER_SOURCE) {
     try {
         const db = await initDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get('allDownloads');
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME, SOURCES_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(STORE_NAME).get(source);
             
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => {
+                // Record the access for LRU eviction
+                const sources = transaction.objectStore(SOURCES_STORE_NAME);
+                const infoRequest = sources.get(source);
+                infoRequest.onsuccess = () => {
+                    if (infoRequest.result) {
+                        sources.put({ ...infoRequest.result, lastAccessed: Date.now() });
+                    }
+                };
+                resolve(request.result);
+            };
             request.onerror = () => reject(request.error);
         });
     } catch (error) {
@@ -302,95 +482,476 @@ async function getCachedData() {
     }
 }
 
-// Cache data
-async function cacheData(data) {
+// List cached sources, most recently used first
+async function getCachedSources() {
     try {
         const db = await initDB();
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.put(data, 'allDownloads');
-            
-            request.onsuccess = () => resolve();
+        const sources = await new Promise((resolve, reject) => {
+            const request = db.transaction([SOURCES_STORE_NAME], 'readonly')
+                .objectStore(SOURCES_STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return sources.sort((a, b) => b.lastAccessed - a.lastAccessed);
+    } catch (error) {
+        console.error('IndexedDB error:', error);
+        return [];
+    }
+}
+
+// Remove a source's cached listing
+async function deleteCachedSource(source) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, SOURCES_STORE_NAME], 'readwrite');
+        transaction.objectStore(STORE_NAME).delete(source);
+        transaction.objectStore(SOURCES_STORE_NAME).delete(source);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Evict least-recently-used sources until `bytesNeeded` fits under the quota threshold
+// The source being written is never evicted. Returns true if anything was removed.
+async function evictCachedSources(bytesNeeded, keepSource, force = false) {
+    let usage = 0;
+    let quota = Infinity;
+    if (navigator.storage && navigator.storage.estimate) {
+        ({ usage, quota } = await navigator.storage.estimate());
+    }
+    
+    const candidates = (await getCachedSources())
+        .filter(info => info.key !== keepSource)
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+    
+    let evicted = false;
+    for (const info of candidates) {
+        if (!force && usage + bytesNeeded <= quota * CACHE_QUOTA_RATIO) break;
+        console.log('Evicting cached listing to free space:', getSourceLabel(info.key));
+        await deleteCachedSource(info.key);
+        usage -= info.sizeBytes || 0;
+        evicted = true;
+        force = false; // When forced, free one source and re-check against the quota
+    }
+    return evicted;
+}
+
+// Write a listing record and its source info in one transaction
+async function putCachedData(source, data, info) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, SOURCES_STORE_NAME], 'readwrite');
+        transaction.objectStore(STORE_NAME).put(data, source);
+        transaction.objectStore(SOURCES_STORE_NAME).put(info);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Cache data for a source (defaults to this server's listing)
+// `data.searchIndex` is the worker's search index for `data.downloads`, when one was built.
+async function cacheData(data, source = SERVER_SOURCE) {
+    const now = Date.now();
+    const info = {
+        key: source,
+        count: data.downloads.length,
+        sizeBytes: estimateListingSize(data.downloads, data.searchIndex),
+        lastRefreshed: data.timestamp || now,
+        lastAccessed: now
+    };
+    
+    try {
+        await evictCachedSources(info.sizeBytes, source);
+        try {
+            await putCachedData(source, data, info);
+        } catch (error) {
+            // Quota hit anyway (estimates are approximate): free the oldest source and retry once
+            if (error && error.name === 'QuotaExceededError' && await evictCachedSources(info.sizeBytes, source, true)) {
+                await putCachedData(source, data, info);
+            } else {
+                throw error;
+            }
+        }
     } catch (error) {
         console.error('Failed to cache data:', error);
     }
 }
 
-// Load data directly (without Web Worker for reliability)
+// Apply delta updates (in order) to a listing
+// Unchanged blobs keep their position; added blobs are appended.
+function applyDeltas(downloads, deltas) {
+    const byName = new Map(downloads.map(download => [download.Name, download]));
+    
+    deltas.forEach(delta => {
+        delta.removed.forEach(name => byName.delete(name));
+        delta.changed.forEach(download => byName.set(download.Name, download));
+        delta.added.forEach(download => byName.set(download.Name, download));
+    });
+    
+    return Array.from(byName.values());
+}
+
+// Find the metadata.deltas entries leading from a cached version to the server's current version
+// Returns null when any link is missing.
+function getDeltaChainEntries(metadata, fromVersion) {
+    if (!metadata || !metadata.version || !fromVersion || !Array.isArray(metadata.deltas)) {
+        return null;
+    }
+    
+    const deltasByFrom = new Map(metadata.deltas.map(entry => [entry.from, entry]));
+    const chain = [];
+    let version = fromVersion;
+    
+    while (version !== metadata.version) {
+        const entry = deltasByFrom.get(version);
+        if (!entry || chain.length >= metadata.deltas.length) {
+            return null;
+        }
+        chain.push(entry);
+        version = entry.to;
+    }
+    
+    return chain;
+}
+
+// Fetch the chain of deltas leading from a cached version to the server's current version
+// Returns null when any link is missing, in which case a full download is needed.
+async function fetchDeltaChain(metadata, fromVersion) {
+    const chain = getDeltaChainEntries(metadata, fromVersion);
+    if (!chain) {
+        return null;
+    }
+    
+    try {
+        return await Promise.all(chain.map(async entry => {
+            const response = await fetch(`data/${entry.file}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        }));
+    } catch (error) {
+        console.log('Delta chain unavailable, falling back to full download:', error);
+        return null;
+    }
+}
+
+// ============================================================================
+// Data Worker
+// ============================================================================
+// Fetching, parsing, folder-tree building and file-type caching run in
+// data-worker.js so the page stays responsive on large containers.
+
+let workerRequestId = 0;
+const workerRequests = new Map(); // request id -> { resolve, reject, onProgress }
+
+// Get (or lazily start) the data worker
+function getDataWorker() {
+    if (worker) return worker;
+    
+    worker = new Worker('data-worker.js');
+    // The worker can't read config.js, so hand it the configured file types and visibility rules
+    const config = typeof window.APP_CONFIG !== 'undefined' ? window.APP_CONFIG : {};
+    worker.postMessage({
+        type: 'configure',
+        fileTypes: config.fileTypes || [],
+        visibility: config.visibility || null
+    });
+    worker.addEventListener('message', (e) => {
+        const { id, type } = e.data;
+        const request = workerRequests.get(id);
+        if (!request) return;
+        
+        if (type === 'progress') {
+            if (request.onProgress) request.onProgress(e.data.loaded, e.data.total);
+            return;
+        }
+        
+        workerRequests.delete(id);
+        if (type === 'error') {
+            request.reject(new Error(e.data.message));
+        } else {
+            request.resolve(e.data);
+        }
+    });
+    worker.addEventListener('error', (e) => {
+        // Script failed to load or threw outside a request; fail everything in flight
+        console.error('Data worker error:', e.message);
+        workerRequests.forEach(request => request.reject(new Error(e.message || 'Data worker failed')));
+        workerRequests.clear();
+        worker.terminate();
+        worker = null;
+    });
+    return worker;
+}
+
+// Send a request to the data worker and resolve with its final reply
+// Aborting `signal` cancels the request in the worker and rejects with an AbortError.
+function runWorkerTask(type, payload = {}, onProgress = null, signal = null) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        workerRequests.set(id, { resolve, reject, onProgress });
+        getDataWorker().postMessage({ id, type, ...payload });
+        
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (!workerRequests.delete(id)) return;
+                if (worker) worker.postMessage({ id, type: 'cancel' });
+                reject(new DOMException('Worker request cancelled', 'AbortError'));
+            });
+        }
+    });
+}
+
+// Index an already-parsed listing (folder tree, file types, search index) in the worker
+// Pass the cached `searchIndex` to skip rebuilding it when it still matches.
+function indexDownloads(downloads, searchIndex = null) {
+    return runWorkerTask('index', { downloads, searchIndex });
+}
+
+// Swap in a listing indexed by the worker
+function applyIndexedData({ downloads, folderTree: tree, fileTypeCache: typeCache }) {
+    allDownloads = downloads;
+    filteredDownloads = [...allDownloads];
+    folderTree = tree;
+    fileTypeCache = typeCache;
+    clearSearchResults();
+    refreshSelection();
+    console.log('Folder tree built with', folderTree.size, 'nodes');
+}
+
+// Search results by query (matches from the whole listing, before file type and
+// zero-byte filters), so counts and paging reuse them instead of rescanning
+const SEARCH_RESULTS_CACHE_SIZE = 10;
+const searchResultsCache = new Map();
+let activeSearch = null; // { query, controller, promise } for the search in flight
+
+function clearSearchResults() {
+    searchResultsCache.clear();
+    if (activeSearch) {
+        activeSearch.controller.abort();
+        activeSearch = null;
+    }
+}
+
+// Whether searches tolerate typos - only while sorting by relevance, which ranks those matches last
+function isFuzzySearch() {
+    return sortBy === 'relevance';
+}
+
+// Key for a query's cached results; fuzzy searches match more, so they are cached separately
+function searchCacheKey(query) {
+    return isFuzzySearch() ? `~${query}` : query;
+}
+
+// Search the listing in the worker, using its index to narrow candidates
+// Starting a different query cancels the one in flight; resolves with null when superseded.
+function searchDownloads(query) {
+    const key = searchCacheKey(query);
+    const fuzzy = isFuzzySearch();
+    
+    if (searchResultsCache.has(key)) {
+        return Promise.resolve(searchResultsCache.get(key));
+    }
+    if (activeSearch && activeSearch.query === key) {
+        return activeSearch.promise;
+    }
+    if (activeSearch) {
+        activeSearch.controller.abort();
+    }
+    
+    const downloads = allDownloads;
+    const controller = new AbortController();
+    const search = { query: key, controller };
+    
+    search.promise = runWorkerTask('search', { query, fuzzy }, null, controller.signal)
+        .then(({ matches }) => Array.from(matches, position => downloads[position]))
+        .catch(error => {
+            if (error.name === 'AbortError') return null;
+            // Worker unavailable: scan on the main thread instead
+            console.error('Search in worker failed:', error);
+            const test = fuzzy ? compileSearchQuery(query, getFileTypeInfo, { fuzzy }).test : getSearchQuery(query).test;
+            return downloads.filter(test);
+        })
+        .then(results => {
+            if (activeSearch === search) activeSearch = null;
+            // Ignore results for a listing that has since been replaced
+            if (!results || downloads !== allDownloads) return null;
+            
+            searchResultsCache.set(key, results);
+            if (searchResultsCache.size > SEARCH_RESULTS_CACHE_SIZE) {
+                searchResultsCache.delete(searchResultsCache.keys().next().value);
+            }
+            return results;
+        });
+    
+    activeSearch = search;
+    return search.promise;
+}
+
+// Show byte-accurate download progress
+function updateLoadProgress(loaded, total, label) {
+    const progressEl = document.getElementById('loadProgress');
+    const barEl = progressEl.querySelector('.load-progress-bar');
+    const textEl = progressEl.querySelector('.load-progress-text');
+    
+    progressEl.hidden = false;
+    if (total > 0) {
+        const percent = Math.min(100, Math.round(loaded / total * 100));
+        barEl.style.width = `${percent}%`;
+        progressEl.setAttribute('aria-valuenow', percent);
+        textEl.textContent = `${label} ${formatFileSize(loaded)} of ${formatFileSize(total)} (${percent}%)`;
+    } else {
+        // Unknown size - show an indeterminate bar
+        progressEl.classList.add('indeterminate');
+        progressEl.removeAttribute('aria-valuenow');
+        textEl.textContent = `${label} ${formatFileSize(loaded)}`;
+    }
+}
+
+function hideLoadProgress() {
+    const progressEl = document.getElementById('loadProgress');
+    progressEl.hidden = true;
+    progressEl.classList.remove('indeterminate');
+}
+
+// Listing formats the data worker can parse, in order of preference
+const LISTING_FORMATS = [
+    { format: 'compact', versions: [1] },
+    { format: 'legacy', versions: [1] }
+];
+
+// Listing used when metadata.json doesn't advertise any formats
+const LEGACY_LISTING = { format: 'legacy', version: 1, file: 'downloads.json', bytes: 0 };
+
+// Get the listings advertised in metadata.json that this client understands, best first
+// The legacy JSON is always included last as a fallback.
+function chooseListings(metadata) {
+    const advertised = metadata && Array.isArray(metadata.listings) ? metadata.listings : [];
+    const rank = (listing) => LISTING_FORMATS.findIndex(f => f.format === listing.format && f.versions.includes(listing.version));
+    
+    const candidates = advertised
+        .filter(listing => listing.file && rank(listing) !== -1)
+        .sort((a, b) => rank(a) - rank(b));
+    
+    if (!candidates.some(listing => listing.format === 'legacy')) {
+        candidates.push(LEGACY_LISTING);
+    }
+    return candidates;
+}
+
+// Download and index the best available listing, falling back to the next format on failure
+async function downloadListing(metadata, onProgress) {
+    const candidates = chooseListings(metadata);
+    const downloadBase = typeof window.APP_CONFIG !== 'undefined' ? window.APP_CONFIG.downloadBase : '';
+    
+    for (let i = 0; i < candidates.length; i++) {
+        const listing = candidates[i];
+        try {
+            console.log(`Fetching ${listing.format} listing (${listing.file}) in worker...`);
+            return await runWorkerTask('fetch', {
+                url: new URL(`data/${listing.file}`, window.location.href).href,
+                format: listing.format,
+                expectedBytes: listing.bytes || 0,
+                downloadBase
+            }, onProgress);
+        } catch (error) {
+            if (i === candidates.length - 1) throw error;
+            console.log(`Could not load ${listing.format} listing, trying next format:`, error);
+        }
+    }
+}
+
+// Bring the server listing up to date with `metadata`, indexing and caching the result
+// Applies the delta chain from `fromVersion` to the current listing when possible,
+// otherwise downloads the full listing. Returns false, changing nothing, when another
+// source is (or gets) displayed meanwhile.
+async function refreshServerData(metadata, fromVersion, progressLabel) {
+    const serverLastUpdated = metadata && metadata.lastUpdated ? new Date(metadata.lastUpdated).getTime() : null;
+    const version = metadata && metadata.version ? metadata.version : null;
+    if (activeSource !== SERVER_SOURCE) return false;
+    
+    // Catch up with delta files when the server still has the whole chain
+    const deltas = await fetchDeltaChain(metadata, fromVersion);
+    if (activeSource !== SERVER_SOURCE) return false;
+    if (deltas) {
+        console.log('Applying', deltas.length, 'delta update(s)...');
+        const indexed = await indexDownloads(applyDeltas(allDownloads, deltas));
+        applyIndexedData(indexed);
+        await cacheData({
+            downloads: allDownloads,
+            searchIndex: indexed.searchIndex,
+            timestamp: Date.now(),
+            serverLastUpdated,
+            version
+        });
+    } else {
+        const result = await downloadListing(metadata, (loaded, total) => updateLoadProgress(loaded, total, progressLabel));
+        hideLoadProgress();
+        if (activeSource !== SERVER_SOURCE) return false;
+        console.log('Parsed successfully:', result.downloads.length, 'items');
+        
+        applyIndexedData(result);
+        
+        // Cache the data with the server's lastUpdated timestamp for future freshness checks
+        console.log('Caching data...');
+        await cacheData({
+            downloads: allDownloads,
+            searchIndex: result.searchIndex,
+            timestamp: Date.now(),
+            serverLastUpdated: serverLastUpdated || Date.now(),
+            version
+        });
+        console.log('Data cached');
+    }
+    
+    loadedListing = { version, serverLastUpdated: serverLastUpdated || Date.now() };
+    return true;
+}
+
+// Load data, rendering any cached copy first and refreshing it in the background
 async function loadData() {
     const loadingEl = document.getElementById('downloadList');
+    let showingCache = false;
     
     try {
         // Fetch metadata first to check if server data is newer than cache
         loadingEl.innerHTML = '<div class="loading">Checking for updates...</div>';
         console.log('Fetching metadata...');
+        setActiveSource(SERVER_SOURCE);
         const metadata = await fetchMetadata(true);
         const serverLastUpdated = metadata && metadata.lastUpdated ? new Date(metadata.lastUpdated).getTime() : null;
         
-        // Try to load from cache, but only if it matches the server's last update
+        // Show the cached copy right away; only skip the download if it matches the server's last update
         console.log('Checking cache...');
         const cached = await getCachedData();
         if (cached && cached.downloads && cached.downloads.length > 0) {
             const cacheIsStale = serverLastUpdated && (!cached.serverLastUpdated || cached.serverLastUpdated < serverLastUpdated);
             
+            console.log('Loading from cache:', cached.downloads.length, 'items', cacheIsStale ? '(stale)' : '(cache is current)');
+            loadingEl.innerHTML = '<div class="loading">Loading from cache...</div>';
+            applyIndexedData(await indexDownloads(cached.downloads, cached.searchIndex));
+            
+            initializeFilters();
+            renderFavorites();
+            displayDownloads();
+            loadedListing = { version: cached.version || null, serverLastUpdated: cached.serverLastUpdated || null };
+            
             if (!cacheIsStale) {
-                console.log('Loading from cache:', cached.downloads.length, 'items (cache is current)');
-                loadingEl.innerHTML = '<div class="loading">Loading from cache...</div>';
-                allDownloads = cached.downloads;
-                filteredDownloads = [...allDownloads];
-                
-                // Build optimized data structures
-                console.log('Building folder tree and caching file types...');
-                buildFolderTree();
-                console.log('Folder tree built with', folderTree.size, 'nodes');
-                
-                initializeFilters();
-                renderFavorites();
-                displayDownloads();
                 return;
             }
             
+            // Keep browsing the cached copy while the fresh one streams in
+            showingCache = true;
             console.log('Cache is stale (server updated at', new Date(serverLastUpdated).toISOString(), '), refreshing...');
+            if (!await refreshServerData(metadata, cached.version, 'Refreshing data...')) return;
         } else {
             console.log('No cache found');
+            loadingEl.innerHTML = '<div class="loading">Downloading data...</div>';
+            if (!await refreshServerData(metadata, null, 'Downloading data...')) return;
         }
         
-        console.log('Fetching JSON...');
-        loadingEl.innerHTML = '<div class="loading">Downloading data (36MB)... This will take 10-20 seconds.</div>';
-        
-        // Load directly - more reliable than Web Worker
-        const response = await fetch('data/downloads.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        console.log('Fetched, reading text...');
-        loadingEl.innerHTML = '<div class="loading">Processing data... Please wait.</div>';
-        
-        const text = await response.text();
-        console.log('Text loaded, size:', (text.length / 1024 / 1024).toFixed(2), 'MB');
-        
-        loadingEl.innerHTML = '<div class="loading">Parsing JSON... Almost done.</div>';
-        
-        const downloads = JSON.parse(text);
-        console.log('Parsed successfully:', downloads.length, 'items');
-        
-        allDownloads = downloads;
-        filteredDownloads = [...allDownloads];
-        
-        // Build optimized data structures
-        console.log('Building folder tree and caching file types...');
-        buildFolderTree();
-        console.log('Folder tree built with', folderTree.size, 'nodes');
-        
-        // Cache the data with the server's lastUpdated timestamp for future freshness checks
-        console.log('Caching data...');
-        await cacheData({ downloads, timestamp: Date.now(), serverLastUpdated: serverLastUpdated || Date.now() });
-        console.log('Data cached');
-        
         console.log('Initializing UI...');
         initializeFilters();
         renderFavorites();
@@ -398,108 +959,24 @@ async function loadData() {
         console.log('Done!');
         
     } catch (error) {
+        hideLoadProgress();
         console.error('Error loading downloads:', error);
-        loadingEl.innerHTML = `<div class="no-results">Error loading downloads: ${error.message}<br>Please check the console for details.</div>`;
-    }
-}
-
-// Build hierarchical folder tree for O(1) navigation
-function buildFolderTree() {
-    folderTree.clear();
-    fileTypeCache.clear();
-    
-    // Initialize root
-    folderTree.set('', { folders: new Set(), files: [] });
-    
-    allDownloads.forEach(download => {
-        const parts = download.Name.split('/');
-        const fileName = parts[parts.length - 1];
-        
-        // Pre-cache file type info
-        getFileTypeInfo(download);
-        
-        // Add file to its parent folder
-        const parentPath = parts.slice(0, -1).join('/');
-        if (!folderTree.has(parentPath)) {
-            folderTree.set(parentPath, { folders: new Set(), files: [] });
-        }
-        folderTree.get(parentPath).files.push(download);
-        
-        // Build folder hierarchy
-        for (let i = 0; i < parts.length - 1; i++) {
-            const currentPath = parts.slice(0, i).join('/');
-            const childFolder = parts[i];
-            const childPath = parts.slice(0, i + 1).join('/');
-            
-            if (!folderTree.has(currentPath)) {
-                folderTree.set(currentPath, { folders: new Set(), files: [] });
-            }
-            folderTree.get(currentPath).folders.add(childFolder);
-            
-            if (!folderTree.has(childPath)) {
-                folderTree.set(childPath, { folders: new Set(), files: [] });
-            }
+        if (showingCache) {
+            showToast('Could not refresh data, showing cached copy');
+        } else {
+            loadingEl.innerHTML = `<div class="no-results">Error loading downloads: ${error.message}<br>Please check the console for details.</div>`;
         }
-    });
-}
-
-// Get file extension from URL
-function getFileExtension(url) {
-    const match = url.match(/\.([^./?#]+)(?:[?#]|$)/);
-    return match ? match[1].toLowerCase() : 'unknown';
+    }
 }
 
 // Get file type display name and icon
 function getFileTypeInfo(download) {
-    // Check cache first
+    // Check cache first (pre-populated by the data worker)
     if (fileTypeCache.has(download.Url)) {
         return fileTypeCache.get(download.Url);
     }
     
-    const ext = getFileExtension(download.Url);
-    const contentType = download.ContentType || '';
-    
-    // Material Design style SVG icons
-    const icons = {
-        pdf: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 7V3.5L18.5 9H13zm-2.5 5.5c0 .83-.67 1.5-1.5 1.5h-1v2H7v-6h2.5c.83 0 1.5.67 1.5 1.5v1zm5 2c0 .83-.67 1.5-1.5 1.5h-2.5v-6H15c.83 0 1.5.67 1.5 1.5v3zm4-3h-1.5v1h1.5v1h-1.5v2H18v-6h2.5v1.5z"/></svg>',
-        zip: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M20 6h-8l-2-2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm-6 10h-2v2h-2v-2H8v-2h2v-2h2v2h2v2zm0-6h-2V8h-2v2H8V8h2V6h2v2h2v2z"/></svg>',
-        web: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/></svg>',
-        txt: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11zm-9-4h4v2H9v-2zm0-6h6v2H9V10zm0 3h6v2H9v-2z"/></svg>',
-        installer: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M4 4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2H4zm0 2h16v2H4V6zm0 4h16v10H4V10z"/><path d="M12 11v5m0 0l-3-3m3 3l3-3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/></svg>',
-        iso: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm0-12.5c-2.49 0-4.5 2.01-4.5 4.5s2.01 4.5 4.5 4.5 4.5-2.01 4.5-4.5-2.01-4.5-4.5-4.5zm0 5.5c-.55 0-1-.45-1-1s.45-1 1-1 1 .45 1 1-.45 1-1 1z"/></svg>',
-        xml: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 2l5 5h-5V4zM6 20V4h6v6h6v10H6z"/><rect x="5.5" y="12" width="13" height="6" rx="1" fill="none" stroke="currentColor" stroke-width="1.5"/><text x="12" y="16.5" font-size="5" font-family="Arial, sans-serif" font-weight="bold" text-anchor="middle" fill="currentColor">XML</text></svg>',
-        json: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M9.5 12.5c0-.83-.67-1.5-1.5-1.5v-1c1.38 0 2.5 1.12 2.5 2.5V14h-1v-1.5zm5 0V14h-1v-1.5c0-1.38 1.12-2.5 2.5-2.5v1c-.83 0-1.5.67-1.5 1.5z"/></svg>',
-        dll: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M9 13h6v2H9z"/></svg>',
-        cert: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm0 10.99h7c-.53 4.12-3.28 7.79-7 8.94V12H5V6.3l7-3.11v8.8z"/></svg>',
-        image: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>',
-        word: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M7 15l1.5-6h1.2l1.3 4 1.3-4h1.2l1.5 6h-1.3l-.9-3.7-1.2 3.7h-1.2l-1.2-3.7-.9 3.7H7z"/></svg>',
-        database: '<svg viewBox="0 0 24 24" fill="currentColor"><ellipse cx="12" cy="5" rx="8" ry="3"/><path d="M4 5v6c0 1.66 3.58 3 8 3s8-1.34 8-3V5c0 1.66-3.58 3-8 3S4 6.66 4 5z"/><path d="M4 11v6c0 1.66 3.58 3 8 3s8-1.34 8-3v-6c0 1.66-3.58 3-8 3s-8-1.34-8-3z"/></svg>',
-        file: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/></svg>'
-    };
-    
-    const typeMap = {
-        'pdf': { icon: icons.pdf, name: 'PDF', color: '#d32f2f' },
-        'zip': { icon: icons.zip, name: 'ZIP', color: '#ff9800' },
-        'htm': { icon: icons.web, name: 'HTML', color: '#1976d2' },
-        'html': { icon: icons.web, name: 'HTML', color: '#1976d2' },
-        'txt': { icon: icons.txt, name: 'Text', color: '#666' },
-        'exe': { icon: icons.installer, name: 'Installer', color: '#00897b' },
-        'msi': { icon: icons.installer, name: 'Installer', color: '#00897b' },
-        'iso': { icon: icons.iso, name: 'ISO', color: '#5e35b1' },
-        'xml': { icon: icons.xml, name: 'XML', color: '#f57c00' },
-        'json': { icon: icons.json, name: 'JSON', color: '#388e3c' },
-        'dll': { icon: icons.dll, name: 'DLL', color: '#455a64' },
-        'cer': { icon: icons.cert, name: 'Certificate', color: '#c62828' },
-        'jpg': { icon: icons.image, name: 'Image', color: '#e91e63' },
-        'jpeg': { icon: icons.image, name: 'Image', color: '#e91e63' },
-        'png': { icon: icons.image, name: 'Image', color: '#e91e63' },
-        'gif': { icon: icons.image, name: 'Image', color: '#e91e63' },
-        'doc': { icon: icons.word, name: 'Word', color: '#1565c0' },
-        'docx': { icon: icons.word, name: 'Word', color: '#1565c0' },
-        'db': { icon: icons.database, name: 'Database', color: '#6d4c41' },
-    };
-    
-    const result = typeMap[ext] || { icon: icons.file, name: ext.toUpperCase(), color: '#757575' };
+    const result = resolveFileType(download);
     
     // Cache the result
     fileTypeCache.set(download.Url, result);
@@ -511,7 +988,7 @@ function getFileTypeInfo(download) {
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
@@ -522,13 +999,35 @@ function formatDate(dateString) {
     return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
 }
 
+// Escape text, wrapping characters whose position (plus `offset`) is in `positions` in <mark>
+function highlightText(text, positions, offset = 0) {
+    let html = '';
+    let marking = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const matched = positions.has(offset + i);
+        if (matched !== marking) {
+            html += matched ? '<mark>' : '</mark>';
+            marking = matched;
+        }
+        html += escapeHtml(text[i]);
+    }
+    
+    return marking ? html + '</mark>' : html;
+}
+
 // Create a download item DOM element
 // @param {Object} download - The download object
 // @param {boolean} showPath - Whether to show the folder path (used in search results)
+// @param {Array} highlightTerms - Search terms to highlight in the name and path
 // @returns {HTMLElement} The download item element
-function createDownloadItemElement(download, showPath = false) {
+function createDownloadItemElement(download, showPath = false, highlightTerms = []) {
     const typeInfo = getFileTypeInfo(download);
     const fileName = download.Name.split('/').pop();
+    const matches = highlightTerms.length > 0
+        ? findMatchPositions(download.Name, highlightTerms, isFuzzySearch())
+        : new Set();
+    const nameStart = download.Name.length - fileName.length;
     
     const itemEl = document.createElement('div');
     itemEl.className = 'download-item';
@@ -536,41 +1035,42 @@ function createDownloadItemElement(download, showPath = false) {
     itemEl.setAttribute('tabindex', '0');
     
     // Add arrow key navigation
-    itemEl.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            const next = itemEl.nextElementSibling;
-            if (next) next.focus();
-        } else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            const prev = itemEl.previousElementSibling;
-            if (prev) prev.focus();
-        }
-    });
+    addListItemArrowKeys(itemEl);
     
     let pathHtml = '';
     if (showPath) {
-        const folderPath = download.Name.split('/').slice(0, -1).join(' / ');
+        // Highlight each folder name at its offset in the full path
+        let offset = 0;
+        const folderPath = download.Name.split('/').slice(0, -1).map(folder => {
+            const html = highlightText(folder, matches, offset);
+            offset += folder.length + 1;
+            return html;
+        }).join(' / ');
         pathHtml = `<div class="download-path"><span class="icon-folder" aria-hidden="true"></span> ${folderPath || 'Root'}</div>`;
     }
     
+    itemEl.classList.toggle('selected', selectedFiles.has(download.Name));
     itemEl.innerHTML = `
         <div class="download-item-header">
-            <div class="download-icon" aria-hidden="true">${typeInfo.icon}</div>
+            ${renderSelectCheckbox(download)}
+            <div class="download-icon" aria-hidden="true" style="color: ${escapeHtml(typeInfo.color)}">${typeInfo.icon}</div>
             <div class="download-info">
-                <div class="download-name">${fileName}</div>
+                <div class="download-name">${highlightText(fileName, matches, nameStart)}</div>
                 ${pathHtml}
                 <div class="download-meta">
-                    <span class="meta-item"><span class="icon-${showPath ? 'file' : 'folder'}-small" aria-hidden="true"></span> <span class="sr-only">Type: </span>${typeInfo.name}</span>
+                    <span class="meta-item"><span class="icon-${showPath ? 'file' : 'folder'}-small" aria-hidden="true"></span> <span class="sr-only">Type: </span>${escapeHtml(typeInfo.name)}</span>
                     <span class="meta-item"><span class="icon-size" aria-hidden="true"></span> <span class="sr-only">Size: </span>${formatFileSize(download.Length)}</span>
                     <span class="meta-item"><span class="icon-date" aria-hidden="true"></span> <span class="sr-only">Date: </span>${formatDate(download.LastModified)}</span>
                 </div>
+                ${renderDownloadHash(download)}
             </div>
         </div>
         <div class="download-item-footer">
             <div class="download-actions">
-                <button class="copy-link-button" data-url="${download.Url}" data-path="${download.Name}" aria-label="Copy download link for ${fileName}"><span class="icon-copy" aria-hidden="true"></span> Copy Link</button>
-                <button class="download-button" data-path="${download.Name}" data-url="${download.Url}" aria-label="Download ${fileName}">Download</button>
+                <button class="copy-link-button" data-url="${escapeHtml(download.Url)}" data-path="${escapeHtml(download.Name)}" aria-label="Copy download link for ${escapeHtml(fileName)}"><span class="icon-copy" aria-hidden="true"></span> Copy Link</button>
+                ${renderPreviewButton(download, false)}
+                ${download.ContentMD5 ? `<button class="verify-button" data-path="${escapeHtml(download.Name)}" aria-label="Verify a local copy of ${escapeHtml(fileName)}">Verify</button>` : ''}
+                <button class="download-button" data-path="${escapeHtml(download.Name)}" data-url="${escapeHtml(download.Url)}" aria-label="Download ${escapeHtml(fileName)}"${isOffline ? ' disabled' : ''}>Download</button>
             </div>
         </div>
     `;
@@ -581,20 +1081,39 @@ function createDownloadItemElement(download, showPath = false) {
 // Filter downloads based on criteria
 // @param {Array} downloads - Array of download objects to filter
 // @param {Object} options - Filter options
-// @param {string} options.searchTerm - Search term (supports wildcards and regex)
+// @param {string} options.searchTerm - Search query (see search-query.js for the syntax)
 // @param {Set} options.fileTypes - Set of file type names to include (empty = all)
-// @param {boolean} options.excludeZeroByte - Whether to exclude 0-byte files (default: true)
+// @param {boolean} options.excludeHidden - Whether to drop blobs hidden by the visibility rules,
+//   including the zero-byte policy (see visibility.js; default: true)
+// @param {string} options.scopePath - Only include files under this folder ('' = everywhere)
+// @param {Object} options.dateRange - Modified date range to include (null = any)
+// @param {Object} options.sizeRange - Size range to include (null = any)
+// @param {Set} options.folders - Only include files under one of these folders (empty = any)
 // @returns {Array} Filtered downloads
 function filterDownloads(downloads, options = {}) {
     const {
         searchTerm = '',
         fileTypes = new Set(),
-        excludeZeroByte = true
+        excludeHidden = true,
+        scopePath = '',
+        dateRange = null,
+        sizeRange = null,
+        folders = new Set()
     } = options;
+    const rangeTest = createRangeTest(dateRange, sizeRange);
     
-    return downloads.filter(download => {
-        // Exclude 0-byte files
-        if (excludeZeroByte && download.Length <= 0) {
+    // Reuse the worker's results for this query when filtering the whole listing
+    const searchResults = searchTerm && downloads === allDownloads ? searchResultsCache.get(searchCacheKey(searchTerm)) : null;
+    const searchQuery = searchTerm && !searchResults ? getSearchQuery(searchTerm) : null;
+    
+    return (searchResults || downloads).filter(download => {
+        // Visibility rules (hidden paths, zero-byte policy)
+        if (excludeHidden && !isBlobVisible(download)) {
+            return false;
+        }
+        
+        // Search scope filter
+        if (scopePath && !download.Name.startsWith(scopePath + '/')) {
             return false;
         }
         
@@ -606,18 +1125,46 @@ function filterDownloads(downloads, options = {}) {
             }
         }
         
-        // Search filter
-        if (searchTerm) {
-            const fullPath = download.Name.toLowerCase();
-            if (!matchesSearch(fullPath, searchTerm.toLowerCase())) {
-                return false;
-            }
+        // Date and size range filters
+        if (rangeTest && !rangeTest(download)) {
+            return false;
+        }
+        
+        // Folder facet filter
+        if (folders.size > 0 && !isInFolders(download, folders)) {
+            return false;
+        }
+        
+        // Search filter
+        if (searchQuery && !searchQuery.test(download)) {
+            return false;
         }
         
         return true;
     });
 }
 
+// Compiled search query, reused until the query text changes
+let compiledSearch = { query: null, test: null, error: null };
+
+// Parse a search query once into a predicate (see search-query.js)
+function getSearchQuery(query) {
+    if (compiledSearch.query !== query) {
+        compiledSearch = { query, ...compileSearchQuery(query, getFileTypeInfo) };
+    }
+    return compiledSearch;
+}
+
+// Show (or clear) the syntax error for the current search query under the search box
+function renderSearchError(error) {
+    const errorEl = document.getElementById('searchError');
+    const searchInput = document.getElementById('searchInput');
+    
+    errorEl.textContent = error ? `${error}. Showing plain text matches instead.` : '';
+    errorEl.hidden = !error;
+    searchInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+}
+
 // Initialize file type filters
 function initializeFilters() {
     updateFileTypeFilterCounts();
@@ -630,7 +1177,11 @@ function updateFileTypeFilterCounts() {
     // Get files that match current search criteria (but not file type filter)
     const matchingFiles = filterDownloads(allDownloads, {
         searchTerm,
-        excludeZeroByte: true
+        excludeHidden: true,
+        scopePath: searchTerm ? getSearchScopePath() : '',
+        dateRange: activeDateRange,
+        sizeRange: activeSizeRange,
+        folders: activeFacetFolders
         // Note: fileTypes not passed - we want counts for all types
     });
     
@@ -706,6 +1257,7 @@ function updateFileTypeFilterCounts() {
                 activeFileTypes.delete(type);
             }
             updateFilterButtonText();
+            refreshRangeFilters();
             currentPage = 1;
             displayDownloads();
             BlobExplorerAnalytics.filterChange(Array.from(activeFileTypes), sortedTypes.length);
@@ -722,8 +1274,6 @@ function updateFileTypeFilterCounts() {
     updateFilterButtonText();
 }
 
-
-
 // Update filter button text
 function updateFilterButtonText() {
     const filterBtn = document.getElementById('filterBtnText');
@@ -737,6 +1287,352 @@ function updateFilterButtonText() {
     }
 }
 
+// ============================================================================
+// Date and Size Range Filters
+// ============================================================================
+// Dropdowns next to the type filter, each with presets, custom bounds and a
+// histogram of the current result set (before either range is applied). Ranges
+// are kept in the URL as modified=7d or modified=2025-01..2025-03 and size=1GB..
+// (same value formats as the modified: and size: search fields).
+
+const DATE_PRESETS = [
+    { days: 1, label: 'Last 24 hours' },
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' },
+    { days: 365, label: 'Last year' }
+];
+
+const SIZE_PRESETS = [
+    { min: 0, max: 1024 ** 2, label: '< 1 MB' },
+    { min: 1024 ** 2, max: 100 * 1024 ** 2, label: '1 MB – 100 MB' },
+    { min: 100 * 1024 ** 2, max: 1024 ** 3, label: '100 MB – 1 GB' },
+    { min: 1024 ** 3, max: Infinity, label: '> 1 GB' }
+];
+
+// Size histogram buckets: [min, max) in bytes
+const SIZE_BUCKETS = [0, 1024, 1024 ** 2, 10 * 1024 ** 2, 100 * 1024 ** 2, 1024 ** 3, 10 * 1024 ** 3, Infinity];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolve a date range to [start, end) timestamps
+function getDateRangeBounds(range) {
+    if (range.days) {
+        return { start: Date.now() - range.days * DAY_MS, end: Infinity };
+    }
+    return {
+        start: range.from ? parseDatePeriod(range.from).start : -Infinity,
+        end: range.to ? parseDatePeriod(range.to).end : Infinity
+    };
+}
+
+// Predicate for the given date and size ranges, or null when neither is set
+function createRangeTest(dateRange, sizeRange) {
+    if (!dateRange && !sizeRange) return null;
+    
+    const dates = dateRange ? getDateRangeBounds(dateRange) : null;
+    return (download) => {
+        if (sizeRange && (download.Length < sizeRange.min || download.Length >= sizeRange.max)) {
+            return false;
+        }
+        if (dates) {
+            const modified = new Date(download.LastModified).getTime();
+            if (!(modified >= dates.start && modified < dates.end)) return false;
+        }
+        return true;
+    };
+}
+
+// Compact size for URLs and inputs, e.g. 1GB or 1536KB
+function formatSizeValue(bytes) {
+    const units = [['TB', 1024 ** 4], ['GB', 1024 ** 3], ['MB', 1024 ** 2], ['KB', 1024]];
+    for (const [unit, size] of units) {
+        if (bytes >= size && bytes % size === 0) return `${bytes / size}${unit}`;
+    }
+    return String(bytes);
+}
+
+function formatDateRangeParam(range) {
+    return range.days ? `${range.days}d` : `${range.from || ''}..${range.to || ''}`;
+}
+
+function formatSizeRangeParam(range) {
+    return `${range.min > 0 ? formatSizeValue(range.min) : ''}..${range.max < Infinity ? formatSizeValue(range.max) : ''}`;
+}
+
+// Parse a modified= URL value; null when missing or invalid
+function parseDateRangeParam(value) {
+    if (!value) return null;
+    try {
+        const days = value.match(/^(\d+)d$/);
+        if (days) return { days: parseInt(days[1], 10) };
+        
+        const [from, to] = value.split('..');
+        const range = { from: from || null, to: to || null };
+        if (!range.from && !range.to) return null;
+        getDateRangeBounds(range); // Validate
+        return range;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Parse a size= URL value; null when missing or invalid
+function parseSizeRangeParam(value) {
+    if (!value || !value.includes('..')) return null;
+    try {
+        const [min, max] = value.split('..');
+        const range = { min: min ? parseSize(min) : 0, max: max ? parseSize(max) : Infinity };
+        return range.min > 0 || range.max < Infinity ? range : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Read both ranges from URL parameters
+function readRangeFilters(params) {
+    activeDateRange = parseDateRangeParam(params.get('modified'));
+    activeSizeRange = parseSizeRangeParam(params.get('size'));
+}
+
+// Write both ranges to a URL's parameters
+function writeRangeFilters(url) {
+    if (activeDateRange) {
+        url.searchParams.set('modified', formatDateRangeParam(activeDateRange));
+    } else {
+        url.searchParams.delete('modified');
+    }
+    if (activeSizeRange) {
+        url.searchParams.set('size', formatSizeRangeParam(activeSizeRange));
+    } else {
+        url.searchParams.delete('size');
+    }
+}
+
+function describeDateRange(range) {
+    if (!range) return 'Any time';
+    if (range.days) {
+        const preset = DATE_PRESETS.find(p => p.days === range.days);
+        return preset ? preset.label : `Last ${range.days} days`;
+    }
+    if (range.from && range.to) return range.from === range.to ? range.from : `${range.from} – ${range.to}`;
+    return range.from ? `Since ${range.from}` : `Until ${range.to}`;
+}
+
+function describeSizeRange(range) {
+    if (!range) return 'Any size';
+    const preset = SIZE_PRESETS.find(p => p.min === range.min && p.max === range.max);
+    if (preset) return preset.label;
+    if (range.min > 0 && range.max < Infinity) return `${formatFileSize(range.min)} – ${formatFileSize(range.max)}`;
+    return range.min > 0 ? `≥ ${formatFileSize(range.min)}` : `< ${formatFileSize(range.max)}`;
+}
+
+// Files the histograms describe: the search results, or everything under the current folder
+function getRangeFilterBaseFiles() {
+    const searchTerm = document.getElementById('searchInput').value;
+    const pathPrefix = currentPath.length > 0 ? currentPath.join('/') + '/' : '';
+    
+    return filterDownloads(allDownloads, {
+        searchTerm,
+        fileTypes: activeFileTypes,
+        excludeHidden: true,
+        scopePath: searchTerm ? getSearchScopePath() : '',
+        folders: activeFacetFolders
+    }).filter(download => searchTerm || download.Name.startsWith(pathPrefix));
+}
+
+// Histogram buckets of modification dates, by day, month or year depending on the span
+function buildDateHistogram(files) {
+    const times = files.map(download => new Date(download.LastModified).getTime()).filter(t => !isNaN(t));
+    if (times.length === 0) return [];
+    
+    const first = new Date(times.reduce((min, t) => Math.min(min, t)));
+    const last = new Date(times.reduce((max, t) => Math.max(max, t)));
+    const spanDays = (last - first) / DAY_MS;
+    const unit = spanDays <= 62 ? 'day' : spanDays <= 3 * 366 ? 'month' : 'year';
+    
+    const pad = n => String(n).padStart(2, '0');
+    const keyOf = date => unit === 'year' ? `${date.getFullYear()}`
+        : unit === 'month' ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}`
+        : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const labelOf = date => unit === 'year' ? `${date.getFullYear()}`
+        : date.toLocaleDateString('en-US', unit === 'month'
+            ? { year: 'numeric', month: 'short' }
+            : { year: 'numeric', month: 'short', day: 'numeric' });
+    const step = date => unit === 'year' ? new Date(date.getFullYear() + 1, 0, 1)
+        : unit === 'month' ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+        : new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    
+    const buckets = [];
+    const byKey = new Map();
+    const lastKey = keyOf(last);
+    let date = unit === 'year' ? new Date(first.getFullYear(), 0, 1)
+        : unit === 'month' ? new Date(first.getFullYear(), first.getMonth(), 1)
+        : new Date(first.getFullYear(), first.getMonth(), first.getDate());
+    for (;;) {
+        const key = keyOf(date);
+        const bucket = { key, label: labelOf(date), count: 0 };
+        buckets.push(bucket);
+        byKey.set(key, bucket);
+        if (key === lastKey) break;
+        date = step(date);
+    }
+    
+    times.forEach(time => byKey.get(keyOf(new Date(time))).count++);
+    return buckets;
+}
+
+// Histogram buckets of file sizes (see SIZE_BUCKETS)
+function buildSizeHistogram(files) {
+    const buckets = SIZE_BUCKETS.slice(0, -1).map((min, i) => {
+        const max = SIZE_BUCKETS[i + 1];
+        const label = max === Infinity ? `≥ ${formatFileSize(min)}`
+            : min === 0 ? `< ${formatFileSize(max)}`
+            : `${formatFileSize(min)} – ${formatFileSize(max)}`;
+        return { min, max, label, count: 0 };
+    });
+    
+    files.forEach(download => {
+        const bucket = buckets.find(b => download.Length >= b.min && download.Length < b.max);
+        if (bucket) bucket.count++;
+    });
+    return buckets;
+}
+
+// Bars for a histogram; `isSelected(bucket)` marks the buckets inside the active range
+function renderHistogram(buckets, isSelected) {
+    if (buckets.length === 0) {
+        return '<p class="range-histogram-empty">No files to chart</p>';
+    }
+    
+    const maxCount = Math.max(...buckets.map(b => b.count), 1);
+    return `<div class="range-histogram">${buckets.map((bucket, index) => `
+        <button type="button" class="histogram-bar${isSelected(bucket) ? ' selected' : ''}" data-index="${index}"
+                title="${bucket.label}: ${bucket.count} file${bucket.count !== 1 ? 's' : ''}"
+                aria-label="${bucket.label}: ${bucket.count} file${bucket.count !== 1 ? 's' : ''}">
+            <span style="height: ${Math.max(bucket.count > 0 ? 4 : 0, bucket.count / maxCount * 100)}%"></span>
+        </button>`).join('')}</div>`;
+}
+
+// Render the contents of one range dropdown ('date' or 'size')
+function renderRangeFilter(kind) {
+    const container = document.getElementById(kind === 'date' ? 'dateFilter' : 'sizeFilter');
+    const files = getRangeFilterBaseFiles();
+    const range = kind === 'date' ? activeDateRange : activeSizeRange;
+    
+    let buckets;
+    let histogramHtml;
+    let presetsHtml;
+    let customHtml;
+    if (kind === 'date') {
+        const bounds = range ? getDateRangeBounds(range) : null;
+        buckets = buildDateHistogram(files);
+        histogramHtml = renderHistogram(buckets, bucket => {
+            if (!bounds) return false;
+            const period = parseDatePeriod(bucket.key);
+            return period.start < bounds.end && period.end > bounds.start;
+        });
+        presetsHtml = DATE_PRESETS.map((preset, index) =>
+            `<button type="button" class="range-preset" data-preset="${index}" aria-pressed="${!!range && range.days === preset.days}">${preset.label}</button>`
+        ).join('');
+        customHtml = `
+            <input type="text" class="range-from" value="${range && range.from ? range.from : ''}" placeholder="YYYY-MM-DD" aria-label="From date">
+            <span aria-hidden="true">–</span>
+            <input type="text" class="range-to" value="${range && range.to ? range.to : ''}" placeholder="YYYY-MM-DD" aria-label="To date (inclusive)">`;
+    } else {
+        buckets = buildSizeHistogram(files);
+        histogramHtml = renderHistogram(buckets, bucket =>
+            !!range && bucket.min < range.max && bucket.max > range.min);
+        presetsHtml = SIZE_PRESETS.map((preset, index) =>
+            `<button type="button" class="range-preset" data-preset="${index}" aria-pressed="${!!range && range.min === preset.min && range.max === preset.max}">${preset.label}</button>`
+        ).join('');
+        customHtml = `
+            <input type="text" class="range-from" value="${range && range.min > 0 ? formatSizeValue(range.min) : ''}" placeholder="Min, e.g. 100MB" aria-label="Minimum size">
+            <span aria-hidden="true">–</span>
+            <input type="text" class="range-to" value="${range && range.max < Infinity ? formatSizeValue(range.max) : ''}" placeholder="Max, e.g. 2GB" aria-label="Maximum size">`;
+    }
+    
+    container.innerHTML = `
+        ${histogramHtml}
+        <div class="range-presets">${presetsHtml}</div>
+        <form class="range-custom">
+            ${customHtml}
+            <button type="submit" class="dropdown-action-btn">Apply</button>
+        </form>
+        <p class="range-error" role="alert" hidden></p>
+        <div class="dropdown-buttons">
+            <button type="button" class="dropdown-action-btn range-clear"${range ? '' : ' disabled'}>Clear</button>
+        </div>
+    `;
+    
+    container.querySelectorAll('.histogram-bar').forEach(bar => {
+        bar.addEventListener('click', () => {
+            const bucket = buckets[Number(bar.dataset.index)];
+            setRangeFilter(kind, kind === 'date' ? { from: bucket.key, to: bucket.key } : { min: bucket.min, max: bucket.max });
+        });
+    });
+    
+    container.querySelectorAll('.range-preset').forEach(button => {
+        button.addEventListener('click', () => {
+            const preset = (kind === 'date' ? DATE_PRESETS : SIZE_PRESETS)[Number(button.dataset.preset)];
+            setRangeFilter(kind, kind === 'date' ? { days: preset.days } : { min: preset.min, max: preset.max });
+        });
+    });
+    
+    container.querySelector('.range-custom').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const from = container.querySelector('.range-from').value.trim();
+        const to = container.querySelector('.range-to').value.trim();
+        const errorEl = container.querySelector('.range-error');
+        
+        try {
+            let newRange = null;
+            if (kind === 'date' && (from || to)) {
+                newRange = { from: from || null, to: to || null };
+                getDateRangeBounds(newRange); // Validate
+            } else if (kind === 'size' && (from || to)) {
+                newRange = { min: from ? parseSize(from) : 0, max: to ? parseSize(to) : Infinity };
+            }
+            setRangeFilter(kind, newRange);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.hidden = false;
+        }
+    });
+    
+    container.querySelector('.range-clear').addEventListener('click', () => setRangeFilter(kind, null));
+}
+
+// Change one range filter and re-filter
+function setRangeFilter(kind, range) {
+    if (kind === 'date') {
+        activeDateRange = range;
+    } else {
+        activeSizeRange = range;
+    }
+    
+    updateRangeFilterButtons();
+    renderRangeFilter(kind);
+    BlobExplorerAnalytics.rangeFilterChange(kind, range
+        ? (kind === 'date' ? formatDateRangeParam(range) : formatSizeRangeParam(range))
+        : '');
+    applyFilters();
+}
+
+function updateRangeFilterButtons() {
+    document.getElementById('dateFilterText').textContent = describeDateRange(activeDateRange);
+    document.getElementById('sizeFilterText').textContent = describeSizeRange(activeSizeRange);
+    document.getElementById('dateFilterBtn').classList.toggle('filter-active', !!activeDateRange);
+    document.getElementById('sizeFilterBtn').classList.toggle('filter-active', !!activeSizeRange);
+}
+
+// Refresh open range dropdowns after the result set changes
+function refreshRangeFilters() {
+    updateRangeFilterButtons();
+    if (document.getElementById('dateFilter').classList.contains('show')) renderRangeFilter('date');
+    if (document.getElementById('sizeFilter').classList.contains('show')) renderRangeFilter('size');
+}
+
 // Get all unique folder paths at all levels
 function getAllFolderPaths() {
     const folderPaths = new Set();
@@ -753,7 +1649,8 @@ function getAllFolderPaths() {
 }
 
 // Match folders against a regex pattern and return sorted results
-function matchFolders(pattern, limit = 10, sortOrder = 'desc') {
+// @param {string} sortBy - 'name' (character order) or 'natural' (numbers and versions by value)
+function matchFolders(pattern, limit = 10, sortOrder = 'desc', sortBy = 'name') {
     // Ensure pattern matches complete folder path by adding anchors if not present
     const adjustedPattern = pattern.includes('$') ? pattern : pattern + '(?:/|$)';
     const regex = new RegExp(adjustedPattern, 'i');
@@ -795,8 +1692,9 @@ function matchFolders(pattern, limit = 10, sortOrder = 'desc') {
     }
     
     // Convert to array and sort
+    const compare = sortBy === 'natural' ? compareNatural : (a, b) => a.localeCompare(b);
     const sorted = Array.from(matchedPaths.keys()).sort((a, b) => {
-        return sortOrder === 'desc' ? b.localeCompare(a) : a.localeCompare(b);
+        return sortOrder === 'desc' ? compare(b, a) : compare(a, b);
     });
     
     // Return limited results
@@ -887,7 +1785,7 @@ function renderFavorites() {
             const pattern = favorite.pattern;
             if (!pattern) return;
             
-            const matches = matchFolders(pattern, favorite.limit, favorite.sortOrder);
+            const matches = matchFolders(pattern, favorite.limit, favorite.sortOrder, favorite.sortBy);
             
             if (matches.length > 0) {
                 if (favorite.label) {
@@ -941,7 +1839,8 @@ function renderUserFavorites(container) {
         // Check if this favorite is currently active
         let isActive = false;
         if (fav.type === 'search') {
-            isActive = currentSearch === fav.query;
+            isActive = currentSearch === fav.query &&
+                (fav.path ? fav.path.join('/') : '') === getSearchScopePath();
         } else if (fav.type === 'folder') {
             isActive = JSON.stringify(currentPath) === JSON.stringify(fav.path);
         }
@@ -963,7 +1862,9 @@ function renderUserFavorites(container) {
                 searchInput.value = fav.query;
                 const searchBar = searchInput.closest('.search-bar');
                 if (searchBar) searchBar.classList.add('has-text');
-                currentPath = [];
+                // Searches pinned while scoped to a folder carry its path
+                currentPath = fav.path ? [...fav.path] : [];
+                setSearchScope(fav.path ? 'folder' : 'all');
                 applyFilters();
                 renderFavorites(); // Update active state
             } else if (fav.type === 'folder') {
@@ -996,8 +1897,14 @@ function renderUserFavorites(container) {
         const searchQuery = searchInput ? searchInput.value.trim() : '';
         
         if (searchQuery) {
-            // Save current search
-            openPinModal('add', { type: 'search', query: searchQuery, name: searchQuery });
+            // Save current search, with its folder when scoped
+            const scopePath = getSearchScopePath();
+            openPinModal('add', {
+                type: 'search',
+                query: searchQuery,
+                path: scopePath ? [...currentPath] : null,
+                name: searchQuery
+            });
         } else if (currentPath.length > 0) {
             // Save current folder
             const folderName = currentPath[currentPath.length - 1];
@@ -1035,7 +1942,9 @@ function openPinModal(mode, data) {
     
     // Show what's being pinned
     if (data.type === 'search') {
-        typeIndicator.textContent = `Search: ${data.query}`;
+        typeIndicator.textContent = data.path
+            ? `Search in ${data.path.join(' / ')}: ${data.query}`
+            : `Search: ${data.query}`;
     } else {
         typeIndicator.textContent = `Folder: ${data.path.join(' / ')}`;
     }
@@ -1111,6 +2020,9 @@ function savePinFromModal() {
         const favorite = { type, name };
         if (type === 'search') {
             favorite.query = modal.dataset.query;
+            if (modal.dataset.path) {
+                favorite.path = JSON.parse(modal.dataset.path);
+            }
         } else {
             favorite.path = JSON.parse(modal.dataset.path);
         }
@@ -1184,6 +2096,7 @@ function navigateToPath(path) {
     // Update browser history
     const url = new URL(window.location);
     url.searchParams.delete('q'); // Clear search query
+    url.searchParams.delete('scope');
     if (path.length > 0) {
         const pathString = path.join('/');
         url.searchParams.set('path', pathString);
@@ -1191,20 +2104,44 @@ function navigateToPath(path) {
         // Remove path parameter for root/home
         url.searchParams.delete('path');
     }
-    window.history.pushState({ path: path, search: '' }, '', url);
+    window.history.pushState({ path: path, search: '', scope: searchScope }, '', url);
+    
+    // Folder facets only apply inside the folder they were picked in
+    const pathPrefix = path.length > 0 ? path.join('/') + '/' : '';
+    activeFacetFolders.forEach(folder => {
+        if (!folder.startsWith(pathPrefix)) activeFacetFolders.delete(folder);
+    });
     
     renderFavorites();
     applyFilters();
     renderBreadcrumbs();
 }
 
+// Folder the search is restricted to ('' when searching everywhere or from Home)
+function getSearchScopePath() {
+    return searchScope === 'folder' ? currentPath.join('/') : '';
+}
+
+function setSearchScope(scope) {
+    searchScope = scope === 'folder' ? 'folder' : 'all';
+    renderSearchScope();
+}
+
+// Reflect the search scope on the toggle buttons
+function renderSearchScope() {
+    document.querySelectorAll('#searchScope button').forEach(button => {
+        button.setAttribute('aria-pressed', button.dataset.scope === searchScope ? 'true' : 'false');
+    });
+}
+
 // Render breadcrumbs
 function renderBreadcrumbs() {
     const breadcrumbsEl = document.getElementById('breadcrumbs');
     const searchTerm = document.getElementById('searchInput').value.trim();
     
-    // If searching, show "Search results" instead of path
-    if (searchTerm) {
+    // Searching everywhere: show "Search results" instead of path
+    const scopedSearch = searchTerm && getSearchScopePath();
+    if (searchTerm && !scopedSearch) {
         breadcrumbsEl.innerHTML = '<span class="breadcrumb search-breadcrumb">Search results</span>';
         return;
     }
@@ -1214,16 +2151,24 @@ function renderBreadcrumbs() {
         return;
     }
     
+    // Searching this folder: "Search in Home / ..." where each crumb widens the search
     const crumbs = ['Home', ...currentPath];
-    breadcrumbsEl.innerHTML = crumbs.map((crumb, index) => {
-        const path = index === 0 ? [] : currentPath.slice(0, index);
-        return `<span class="breadcrumb" tabindex="0" role="link" data-path='${JSON.stringify(path)}'>${crumb}</span>`;
-    }).join('');
+    breadcrumbsEl.innerHTML = (scopedSearch ? '<span class="search-scope-label">Search in</span>' : '') +
+        crumbs.map((crumb, index) => {
+            const path = index === 0 ? [] : currentPath.slice(0, index);
+            return `<span class="breadcrumb" tabindex="0" role="link" data-path='${JSON.stringify(path)}'>${crumb}</span>`;
+        }).join('') +
+        (scopedSearch ? '' : renderZipFolderButton(currentPath.join('/')));
     
     breadcrumbsEl.querySelectorAll('.breadcrumb').forEach(el => {
         const navigateHandler = () => {
             const path = JSON.parse(el.dataset.path);
-            navigateToPath(path);
+            if (scopedSearch) {
+                currentPath = path;
+                applyFilters();
+            } else {
+                navigateToPath(path);
+            }
         };
         el.addEventListener('click', navigateHandler);
         el.addEventListener('keydown', (e) => {
@@ -1236,25 +2181,47 @@ function renderBreadcrumbs() {
 }
 
 // Apply filters
-function applyFilters() {
+async function applyFilters() {
     const searchInput = document.getElementById('searchInput');
     const searchTerm = searchInput.value.toLowerCase();
     
-    // Update URL with search query
+    // Update URL with search query; the path stays so the folder context survives the search
     const url = new URL(window.location);
     if (searchTerm) {
         url.searchParams.set('q', searchInput.value); // Use original case
-        url.searchParams.delete('path'); // Clear path when searching
     } else {
         url.searchParams.delete('q');
-        // Restore path if we have one
-        if (currentPath.length > 0) {
-            url.searchParams.set('path', currentPath.join('/'));
-        }
     }
-    window.history.replaceState({ path: currentPath, search: searchInput.value }, '', url);
+    if (searchTerm && searchScope === 'folder') {
+        url.searchParams.set('scope', 'folder');
+    } else {
+        url.searchParams.delete('scope');
+    }
+    if (currentPath.length > 0) {
+        url.searchParams.set('path', currentPath.join('/'));
+    } else {
+        url.searchParams.delete('path');
+    }
+    writeRangeFilters(url);
+    window.history.replaceState({ path: currentPath, search: searchInput.value, scope: searchScope }, '', url);
+    
+    syncSortWithSearch(searchTerm);
+    const searchQuery = searchTerm ? getSearchQuery(searchInput.value) : null;
+    renderSearchError(searchQuery && searchQuery.error);
+    
+    // Search runs in the worker; stop here if a newer query superseded this one
+    const searchResults = searchTerm ? await searchDownloads(searchInput.value) : null;
+    if (searchTerm && !searchResults) return;
     
-    filteredDownloads = allDownloads.filter(download => {
+    const rangeTest = createRangeTest(activeDateRange, activeSizeRange);
+    filteredDownloads = searchTerm ? filterDownloads(allDownloads, {
+        searchTerm: searchInput.value,
+        fileTypes: activeFileTypes,
+        scopePath: getSearchScopePath(),
+        dateRange: activeDateRange,
+        sizeRange: activeSizeRange,
+        folders: activeFacetFolders
+    }) : allDownloads.filter(download => {
         // Path filter
         if (currentPath.length > 0) {
             const pathPrefix = currentPath.join('/');
@@ -1283,13 +2250,14 @@ function applyFilters() {
             }
         }
         
-        // Search filter - search in full path
-        if (searchTerm) {
-            const fullPath = download.Name.toLowerCase();
-            
-            if (!matchesSearch(fullPath, searchTerm)) {
-                return false;
-            }
+        // Date and size range filters
+        if (rangeTest && !rangeTest(download)) {
+            return false;
+        }
+        
+        // Folder facet filter
+        if (activeFacetFolders.size > 0 && !isInFolders(download, activeFacetFolders)) {
+            return false;
         }
         
         return true;
@@ -1297,14 +2265,39 @@ function applyFilters() {
     
     currentPage = 1; // Reset to first page
     updateFileTypeFilterCounts(); // Update dropdown counts
+    refreshRangeFilters();
     displayDownloads();
+    
+    // File name suggestions come from the results, so refresh them now they are in
+    if (searchTerm && isSearchSuggestionsOpen()) {
+        updateSearchSuggestions();
+    }
+}
+
+// Sort by relevance while a search is active, restoring the previous sort once it is cleared
+// The relevance option is only offered while searching.
+function syncSortWithSearch(searchTerm) {
+    const sortSelect = document.getElementById('sortBy');
+    sortSelect.querySelector('option[value="relevance"]').hidden = !searchTerm;
+    
+    if (searchTerm && sortBeforeSearch === null) {
+        sortBeforeSearch = sortBy;
+        sortBy = 'relevance';
+    } else if (!searchTerm && sortBeforeSearch !== null) {
+        sortBy = sortBeforeSearch === 'relevance' ? 'date-desc' : sortBeforeSearch;
+        sortBeforeSearch = null;
+    }
+    sortSelect.value = sortBy;
 }
 
 // Sort files based on current sort option
-function sortFiles(files) {
+// @param {Array} files - Downloads to sort
+// @param {string} searchTerm - Active search query, used to rank by relevance
+function sortFiles(files, searchTerm = '') {
     const sorted = [...files];
     
-    switch (sortBy) {
+    // Without a query there is nothing to rank by, so relevance falls back to newest first
+    switch (sortBy === 'relevance' && !searchTerm ? 'date-desc' : sortBy) {
         case 'date-desc':
             sorted.sort((a, b) => new Date(b.LastModified) - new Date(a.LastModified));
             break;
@@ -1318,114 +2311,187 @@ function sortFiles(files) {
             sorted.sort((a, b) => a.Length - b.Length);
             break;
         case 'name-asc':
+        case 'name-desc': {
+            const direction = sortBy === 'name-desc' ? -1 : 1;
             sorted.sort((a, b) => {
                 const nameA = a.Name.split('/').pop().toLowerCase();
                 const nameB = b.Name.split('/').pop().toLowerCase();
-                return nameA.localeCompare(nameB);
+                return direction * nameA.localeCompare(nameB);
             });
             break;
+        }
+        case 'natural-asc':
+        case 'natural-desc': {
+            const direction = sortBy === 'natural-desc' ? -1 : 1;
+            sorted.sort((a, b) => direction * compareNatural(a.Name.split('/').pop(), b.Name.split('/').pop()));
+            break;
+        }
+        case 'relevance': {
+            // Best match first; ties go to the shorter file name, then the newest
+            const score = createRelevanceScorer(searchTerm);
+            const scores = new Map(sorted.map(download => [download, score(download)]));
+            const nameLength = download => download.Name.length - download.Name.lastIndexOf('/') - 1;
+            sorted.sort((a, b) => scores.get(b) - scores.get(a) ||
+                nameLength(a) - nameLength(b) ||
+                new Date(b.LastModified) - new Date(a.LastModified));
+            break;
+        }
     }
     
     return sorted;
 }
 
-// Convert wildcard pattern to regex
-function wildcardToRegex(pattern) {
-    // Escape special regex characters except * and ?
-    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
-    // Convert * to .* and ? to .
-    const regexPattern = escaped.replace(/\*/g, '.*').replace(/\?/g, '.');
-    return new RegExp(regexPattern, 'i');
+// Compare names the way people number things: runs of digits by value ("v1.9" < "v1.10",
+// "2025R2" < "2025R10") and a pre-release before its release ("2.0-beta" < "2.0")
+function compareNatural(a, b) {
+    const chunksA = a.toLowerCase().match(/\d+|\D+/g) || [];
+    const chunksB = b.toLowerCase().match(/\d+|\D+/g) || [];
+    const isDigits = chunk => chunk.charCodeAt(0) >= 48 && chunk.charCodeAt(0) <= 57;
+    const isPreRelease = chunk => /^-[a-z]/.test(chunk);
+    // A lone separator between two numbers, like the dots of "1.0.1"
+    const continuesVersion = (chunks, i) => /^[._-]$/.test(chunks[i]) && i + 1 < chunks.length && isDigits(chunks[i + 1]);
+    
+    for (let i = 0; i < Math.min(chunksA.length, chunksB.length); i++) {
+        const x = chunksA[i];
+        const y = chunksB[i];
+        if (x === y) continue;
+        
+        if (isDigits(x) && isDigits(y)) {
+            // Compare by value without converting, so long digit runs don't lose precision
+            const valueX = x.replace(/^0+/, '');
+            const valueY = y.replace(/^0+/, '');
+            if (valueX.length !== valueY.length) return valueX.length - valueY.length;
+            if (valueX !== valueY) return valueX < valueY ? -1 : 1;
+            continue; // Same value, different zero padding; decided by the tie-break below
+        }
+        
+        // "-rc1.zip" against ".zip": the pre-release comes first
+        if (isPreRelease(x) !== isPreRelease(y) && !/^[a-z\d]/.test(isPreRelease(x) ? y : x)) {
+            return isPreRelease(x) ? -1 : 1;
+        }
+        // ".1.zip" against ".zip": the version that ends here comes first ("1.0" < "1.0.1")
+        const continuesX = continuesVersion(chunksA, i);
+        if (continuesX !== continuesVersion(chunksB, i) && !/^[a-z\d]/.test(continuesX ? y : x)) {
+            return continuesX ? 1 : -1;
+        }
+        return x.localeCompare(y);
+    }
+    
+    // One is a prefix of the other: shorter first, unless the rest is a pre-release ("2.0-beta" < "2.0")
+    if (chunksA.length !== chunksB.length) {
+        const rest = chunksA.length > chunksB.length ? chunksA[chunksB.length] : chunksB[chunksA.length];
+        const longerFirst = isPreRelease(rest);
+        return (chunksA.length > chunksB.length) === longerFirst ? -1 : 1;
+    }
+    return a.localeCompare(b);
 }
 
-// Check if search term matches (with wildcard and regex support)
-function matchesSearch(text, searchTerm) {
-    // Regex search: patterns starting with / or ^ are treated as regex
-    const isRegex = searchTerm.startsWith('/') || searchTerm.startsWith('^');
+// Sort the subfolders of `parentPath` to match the current sort: by newest file or total size
+// (from the folder aggregates), by name (plain or natural) in its direction, otherwise A-Z
+function sortFolderNames(names, parentPath) {
+    const stats = name => folderTree.get(parentPath ? `${parentPath}/${name}` : name).stats;
+    const byStat = (key, direction) => (a, b) => direction * (stats(a)[key] - stats(b)[key]) || (a < b ? -1 : a > b ? 1 : 0);
     
-    if (isRegex) {
-        try {
-            // Remove leading / if present (^ should be kept as it's part of the regex)
-            const regexPattern = searchTerm.startsWith('/') ? searchTerm.slice(1) : searchTerm;
-            const regex = new RegExp(regexPattern, 'i');
-            return regex.test(text);
-        } catch (e) {
-            // Invalid regex, fall back to literal search
-            return text.includes(searchTerm);
-        }
+    switch (sortBy) {
+        case 'date-desc':
+            return names.sort(byStat('newest', -1));
+        case 'date-asc':
+            return names.sort(byStat('newest', 1));
+        case 'size-desc':
+            return names.sort(byStat('totalBytes', -1));
+        case 'size-asc':
+            return names.sort(byStat('totalBytes', 1));
+        case 'name-desc':
+            return names.sort().reverse();
+        case 'natural-asc':
+            return names.sort(compareNatural);
+        case 'natural-desc':
+            return names.sort((a, b) => compareNatural(b, a));
+        default:
+            return names.sort();
+    }
+}
+
+// Keys that order folders (by their aggregates) and files together in the date and size sorts
+const MIXED_SORT_KEYS = {
+    'date-desc': { direction: -1, folder: stats => stats.newest, file: download => new Date(download.LastModified).getTime() },
+    'date-asc': { direction: 1, folder: stats => stats.newest, file: download => new Date(download.LastModified).getTime() },
+    'size-desc': { direction: -1, folder: stats => stats.totalBytes, file: download => download.Length },
+    'size-asc': { direction: 1, folder: stats => stats.totalBytes, file: download => download.Length }
+};
+
+// One list of sorted folder and file items: interleaved by date or size when sorting by those,
+// otherwise folders first. Folders come before files with the same date or size.
+function mergeFoldersAndFiles(folderItems, fileItems) {
+    const sortKey = MIXED_SORT_KEYS[sortBy];
+    if (!sortKey) return [...folderItems, ...fileItems];
+    
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < folderItems.length && j < fileItems.length) {
+        const difference = sortKey.file(fileItems[j].data) - sortKey.folder(folderItems[i].stats);
+        merged.push(sortKey.direction * difference < 0 ? fileItems[j++] : folderItems[i++]);
     }
+    return merged.concat(folderItems.slice(i), fileItems.slice(j));
+}
+
+// Summary of a folder's aggregates for its row: "12 files · 1.5 GB · Updated Mar 3, 2025"
+function describeFolderStats(stats) {
+    const parts = [`${stats.fileCount} file${stats.fileCount !== 1 ? 's' : ''}`, formatFileSize(stats.totalBytes)];
+    if (stats.newest) parts.push(`Updated ${formatDate(stats.newest)}`);
+    return parts.join(' · ');
+}
+
+// Type mix of a folder as a stacked bar, largest types first (the smallest are lumped together)
+function renderFolderTypeMix(stats) {
+    if (stats.fileCount === 0) return '';
     
-    const hasWildcard = searchTerm.includes('*') || searchTerm.includes('?');
+    const shown = stats.types.slice(0, 5);
+    const otherCount = stats.fileCount - shown.reduce((sum, type) => sum + type.count, 0);
+    const segments = otherCount > 0 ? [...shown, { name: 'Other', color: '#9e9e9e', count: otherCount }] : shown;
+    const label = segments.map(type => `${type.name} ${type.count}`).join(', ');
     
-    if (hasWildcard) {
-        const regex = wildcardToRegex(searchTerm);
-        return regex.test(text);
-    } else {
-        // Regular search with space-insensitive matching
-        const textNoSpaces = text.replace(/\s/g, '');
-        const searchTermNoSpaces = searchTerm.replace(/\s/g, '');
-        return text.includes(searchTerm) || textNoSpaces.includes(searchTermNoSpaces);
-    }
+    return `<div class="folder-type-mix" role="img" aria-label="File types: ${escapeHtml(label)}" title="${escapeHtml(label)}">${segments.map(type =>
+        `<span style="flex-grow: ${type.count}; background: ${escapeHtml(type.color)}"></span>`).join('')}</div>`;
 }
 
 // Render search results
 function renderSearchResults(filteredFiles, searchTerm) {
-    const listEl = document.getElementById('downloadList');
-    const resultCount = document.getElementById('resultCount');
-    
     // Sort the files
-    const sortedFiles = sortFiles(filteredFiles);
-    
+    const sortedFiles = sortFiles(filteredFiles, searchTerm);
     const totalItems = sortedFiles.length;
-    const totalPages = Math.ceil(totalItems / itemsPerPage);
-    
-    updatePagination(totalItems, totalPages);
-    
-    const startIdx = (currentPage - 1) * itemsPerPage;
-    const endIdx = Math.min(startIdx + itemsPerPage, totalItems);
-    const pageItems = sortedFiles.slice(startIdx, endIdx);
-    
-    resultCount.textContent = `${totalItems} matching file${totalItems !== 1 ? 's' : ''} (showing ${startIdx + 1}-${endIdx})`;
-    
-    if (totalItems === 0) {
-        listEl.innerHTML = '<div class="no-results">No files found matching "' + searchTerm + '"</div>';
-        document.getElementById('paginationTop').style.display = 'none';
-        document.getElementById('paginationBottom').style.display = 'none';
-        return;
-    }
-    
-    const fragment = document.createDocumentFragment();
     
-    pageItems.forEach(download => {
-        const itemEl = createDownloadItemElement(download, true);
-        fragment.appendChild(itemEl);
+    renderListItems(sortedFiles.map(download => ({ type: 'file', data: download })), {
+        countLabel: `${totalItems} matching file${totalItems !== 1 ? 's' : ''}`,
+        emptyHtml: '<div class="no-results">No files found matching "' + escapeHtml(searchTerm) + '"</div>',
+        showPath: true,
+        highlightTerms: getRelevanceTerms(searchTerm)
     });
-    
-    listEl.innerHTML = '';
-    listEl.appendChild(fragment);
-    
-    document.querySelector('.content').scrollTop = 0;
 }
 
 // Helper: Check if a folder contains files matching the active file type filter (recursive)
-// Also filters out folders with no non-zero byte files
+// Also filters out folders with no visible files
 function folderHasMatchingFiles(parentPath, folderName) {
     const folderPath = parentPath ? `${parentPath}/${folderName}` : folderName;
+    const rangeTest = createRangeTest(activeDateRange, activeSizeRange);
     
     // Check if this folder's tree node has matching files
     const checkNode = (path) => {
         const node = folderTree.get(path);
         if (!node) return false;
         
-        // Check files in this folder (excluding 0-byte files)
+        // Check files in this folder (excluding hidden ones, see visibility.js)
         const hasMatchingFile = node.files.some(download => {
-            if (download.Length <= 0) return false;
+            if (!isBlobVisible(download)) return false;
+            if (rangeTest && !rangeTest(download)) return false;
+            if (activeFacetFolders.size > 0 && !isInFolders(download, activeFacetFolders)) return false;
             // If file type filter is active, check against it
             if (activeFileTypes.size > 0) {
                 const typeInfo = getFileTypeInfo(download);
                 return activeFileTypes.has(typeInfo.name);
             }
-            return true; // No filter, any non-zero file counts
+            return true; // No filter, any visible file counts
         });
         
         if (hasMatchingFile) return true;
@@ -1445,18 +2511,36 @@ function folderHasMatchingFiles(parentPath, folderName) {
 // Display downloads with pagination
 function displayDownloads() {
     const listEl = document.getElementById('downloadList');
-    const resultCount = document.getElementById('resultCount');
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+    const searchTerm = document.getElementById('searchInput').value;
     
     // Update breadcrumbs to reflect search state
     renderBreadcrumbs();
+    renderFilterChips();
+    syncSortWithSearch(searchTerm);
     
     // If searching, show all matching files from anywhere
     if (searchTerm) {
+        // Results not ready yet (e.g. re-rendered while the search runs): show them once they are
+        if (!searchResultsCache.has(searchCacheKey(searchTerm))) {
+            clearVirtualList();
+            listEl.innerHTML = '<div class="loading">Searching...</div>';
+            searchDownloads(searchTerm).then(results => {
+                if (results && document.getElementById('searchInput').value === searchTerm) {
+                    displayDownloads();
+                }
+            });
+            return;
+        }
+        
+        renderFacets();
         const filteredFiles = filterDownloads(allDownloads, {
             searchTerm,
             fileTypes: activeFileTypes,
-            excludeZeroByte: true
+            excludeHidden: true,
+            scopePath: getSearchScopePath(),
+            dateRange: activeDateRange,
+            sizeRange: activeSizeRange,
+            folders: activeFacetFolders
         });
         
         renderSearchResults(filteredFiles, searchTerm);
@@ -1468,16 +2552,21 @@ function displayDownloads() {
     const node = folderTree.get(pathKey);
     
     if (!node) {
+        clearVirtualList();
         listEl.innerHTML = '<div class="no-results">Folder not found</div>';
         return;
     }
     
+    renderFacets();
     const folders = Array.from(node.folders);
     
     // Filter files using shared utility
     const files = filterDownloads(node.files, {
         fileTypes: activeFileTypes,
-        excludeZeroByte: true
+        excludeHidden: true,
+        dateRange: activeDateRange,
+        sizeRange: activeSizeRange,
+        folders: activeFacetFolders
     });
     
     // Filter folders that contain matching files (recursive check)
@@ -1487,10 +2576,95 @@ function displayDownloads() {
     // Sort files
     const sortedFiles = sortFiles(files);
     
-    const allItems = [...filteredFolders.sort().map(f => ({ type: 'folder', name: f })),
-                      ...sortedFiles.map(f => ({ type: 'file', data: f }))];
+    const allItems = mergeFoldersAndFiles(
+        sortFolderNames(filteredFolders, pathKey).map(f => ({
+            type: 'folder',
+            name: f,
+            stats: folderTree.get(pathKey ? `${pathKey}/${f}` : f).stats
+        })),
+        sortedFiles.map(f => ({ type: 'file', data: f })));
+    const totalItems = allItems.length;
+    
+    renderListItems(allItems, {
+        countLabel: `${totalItems} item${totalItems !== 1 ? 's' : ''}`,
+        emptyHtml: '<div class="no-results">No downloads found matching your criteria.</div>',
+        showPath: false
+    });
+}
+
+// Create the element for a folder or file row in the current view (or a row of grid tiles)
+function createListItemElement(item, showPath, highlightTerms, total = 0) {
+    if (item.type === 'row') {
+        return createGridRowElement(item, total, highlightTerms);
+    }
+    if (getViewMode() === 'table') {
+        return item.type === 'file'
+            ? createDownloadRowElement(item.data, showPath, highlightTerms)
+            : createFolderRowElement(item, showPath);
+    }
+    if (item.type === 'file') {
+        return createDownloadItemElement(item.data, showPath, highlightTerms);
+    }
     
+    const folderEl = document.createElement('div');
+    folderEl.className = 'download-item folder-item-display';
+    folderEl.setAttribute('role', 'listitem');
+    folderEl.innerHTML = `
+        <span class="folder-icon" aria-hidden="true"><span class="icon-folder"></span></span>
+        <div class="download-info">
+            <div class="download-name">${item.name}</div>
+            <div class="folder-stats">${describeFolderStats(item.stats)}</div>
+        </div>
+        ${renderFolderTypeMix(item.stats)}
+        ${renderZipFolderButton([...currentPath, item.name].join('/'))}
+    `;
+    makeListItemAccessible(folderEl, () => {
+        navigateToPath([...currentPath, item.name]);
+    });
+    return folderEl;
+}
+
+// Render list rows, either one page at a time or as a virtualized infinite list
+function renderListItems(allItems, { countLabel, emptyHtml, showPath, highlightTerms = [] }) {
+    const listEl = document.getElementById('downloadList');
+    const resultCount = document.getElementById('resultCount');
+    const contentEl = document.querySelector('.content');
     const totalItems = allItems.length;
+    const viewMode = getViewMode();
+    const renderItem = item => createListItemElement(item, showPath, highlightTerms, totalItems);
+    
+    clearVirtualList();
+    setCurrentViewFiles(allItems.filter(item => item.type === 'file').map(item => item.data));
+    renderSelectionToolbar();
+    listEl.classList.toggle('view-table', viewMode === 'table');
+    listEl.classList.toggle('view-grid', viewMode === 'grid');
+    document.getElementById('tableHeader').hidden = viewMode !== 'table' || totalItems === 0;
+    if (viewMode === 'table' && totalItems > 0) {
+        renderTableHeader(showPath);
+    }
+    if (viewMode === 'grid') {
+        gridColumns = getGridColumnCount();
+    }
+    
+    if (totalItems === 0) {
+        resultCount.textContent = countLabel;
+        listEl.innerHTML = emptyHtml;
+        document.getElementById('paginationTop').style.display = 'none';
+        document.getElementById('paginationBottom').style.display = 'none';
+        return;
+    }
+    
+    if (getListMode() === 'scroll') {
+        updatePagination(totalItems, 1);
+        resultCount.textContent = countLabel;
+        
+        listEl.innerHTML = '';
+        contentEl.scrollTop = 0;
+        const items = viewMode === 'grid' ? groupIntoGridRows(allItems) : allItems;
+        virtualList = createVirtualList(listEl, contentEl, items, renderItem);
+        return;
+    }
+    
     const totalPages = Math.ceil(totalItems / itemsPerPage);
     
     // Update pagination
@@ -1501,45 +2675,196 @@ function displayDownloads() {
     const endIdx = Math.min(startIdx + itemsPerPage, totalItems);
     const pageItems = allItems.slice(startIdx, endIdx);
     
-    resultCount.textContent = `${totalItems} item${totalItems !== 1 ? 's' : ''} (showing ${startIdx + 1}-${endIdx})`;
-    
-    if (totalItems === 0) {
-        listEl.innerHTML = '<div class="no-results">No downloads found matching your criteria.</div>';
-        document.getElementById('paginationTop').style.display = 'none';
-        document.getElementById('paginationBottom').style.display = 'none';
-        return;
-    }
+    resultCount.textContent = `${countLabel} (showing ${startIdx + 1}-${endIdx})`;
     
     // Use document fragment for better performance
     const fragment = document.createDocumentFragment();
-    
-    // Render items
-    pageItems.forEach(item => {
-        if (item.type === 'folder') {
-            const folderEl = document.createElement('div');
-            folderEl.className = 'download-item folder-item-display';
-            folderEl.setAttribute('role', 'listitem');
-            folderEl.innerHTML = `
-                <span class="folder-icon" aria-hidden="true"><span class="icon-folder"></span></span>
-                <div class="download-info">
-                    <div class="download-name">${item.name}</div>
-                </div>
-            `;
-            makeListItemAccessible(folderEl, () => {
-                navigateToPath([...currentPath, item.name]);
-            });
-            fragment.appendChild(folderEl);
-        } else {
-            const itemEl = createDownloadItemElement(item.data, false);
-            fragment.appendChild(itemEl);
-        }
-    });
+    (viewMode === 'grid' ? groupIntoGridRows(pageItems, startIdx) : pageItems)
+        .forEach(item => fragment.appendChild(renderItem(item)));
     
     listEl.innerHTML = '';
     listEl.appendChild(fragment);
     
     // Scroll to top
-    document.querySelector('.content').scrollTop = 0;
+    contentEl.scrollTop = 0;
+}
+
+function clearVirtualList() {
+    if (virtualList) {
+        virtualList.destroy();
+        virtualList = null;
+    }
+}
+
+// Virtualized list: only rows near the visible part of the list are in the DOM.
+// Rows are measured as they render; unmeasured rows use the first height measured for
+// their type. Spacers above and below stand in for the rows that aren't rendered.
+// `scrollEl` scrolls on desktop; on small screens the window scrolls instead, so both are watched.
+function createVirtualList(listEl, scrollEl, items, renderItem) {
+    const OVERSCAN = 600; // Extra pixels rendered above and below the viewport
+    const heights = new Array(items.length);
+    const estimates = { folder: 70, file: 140, row: 200 };
+    const measuredTypes = new Set(); // Types whose estimate is a measured height
+    const rendered = new Map(); // item index -> element
+    const topSpacer = document.createElement('div');
+    const bottomSpacer = document.createElement('div');
+    const offsets = new Float64Array(items.length + 1);
+    let validOffsets = 0; // offsets[0..validOffsets] are up to date
+    let first = 0;
+    let last = -1;
+    let rowGap = 0;
+    let frame = null;
+    
+    topSpacer.className = 'virtual-spacer';
+    bottomSpacer.className = 'virtual-spacer';
+    topSpacer.setAttribute('aria-hidden', 'true');
+    bottomSpacer.setAttribute('aria-hidden', 'true');
+    listEl.classList.add('virtual-list');
+    listEl.append(topSpacer, bottomSpacer);
+    
+    // offsets[i] = distance from the top of the list to row i (offsets[length] = total height)
+    // Only the rows after the first changed height are recomputed, so scrolling through
+    // rows that are already measured costs nothing here.
+    function computeOffsets() {
+        for (let i = validOffsets; i < items.length; i++) {
+            const height = heights[i] !== undefined ? heights[i] : estimates[items[i].type];
+            offsets[i + 1] = offsets[i] + height + rowGap;
+        }
+        validOffsets = items.length;
+    }
+    
+    // Index of the row at `y` pixels from the top of the list
+    function indexAt(y) {
+        let low = 0;
+        let high = items.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= y) low = mid; else high = mid - 1;
+        }
+        return low;
+    }
+    
+    function measure() {
+        rendered.forEach((element, index) => {
+            const height = element.offsetHeight;
+            if (height <= 0 || height === heights[index]) return;
+            
+            // A new estimate moves every unmeasured row of its type
+            const type = items[index].type;
+            if (!measuredTypes.has(type)) {
+                measuredTypes.add(type);
+                if (estimates[type] !== height) {
+                    estimates[type] = height;
+                    validOffsets = 0;
+                }
+            }
+            // Offsets only move when the row differs from the height they assumed
+            if (height !== (heights[index] !== undefined ? heights[index] : estimates[type])) {
+                validOffsets = Math.min(validOffsets, index);
+            }
+            heights[index] = height;
+        });
+    }
+    
+    // Visible part of the page, in viewport coordinates
+    function viewport() {
+        const rect = scrollEl.getBoundingClientRect();
+        return { top: Math.max(rect.top, 0), bottom: Math.min(rect.bottom, window.innerHeight) };
+    }
+    
+    function render() {
+        frame = null;
+        measure();
+        computeOffsets();
+        
+        const { top, bottom } = viewport();
+        const viewTop = top - listEl.getBoundingClientRect().top;
+        const newFirst = indexAt(Math.max(0, viewTop - OVERSCAN));
+        const newLast = indexAt(Math.max(0, viewTop + (bottom - top) + OVERSCAN));
+        
+        if (newFirst !== first || newLast !== last) {
+            // Drop rows that left the window; keep the rest (and any focus inside them)
+            rendered.forEach((element, index) => {
+                if (index < newFirst || index > newLast) {
+                    element.remove();
+                    rendered.delete(index);
+                }
+            });
+            
+            let before = topSpacer;
+            for (let i = newFirst; i <= newLast; i++) {
+                let element = rendered.get(i);
+                if (!element) {
+                    element = renderItem(items[i]);
+                    element.dataset.index = i;
+                    element.setAttribute('aria-setsize', items.length);
+                    element.setAttribute('aria-posinset', i + 1);
+                    rendered.set(i, element);
+                }
+                if (before.nextSibling !== element) {
+                    before.after(element);
+                }
+                before = element;
+            }
+            
+            first = newFirst;
+            last = newLast;
+        }
+        
+        // Spacers take the place of the rows outside the window (the list's gap applies around them)
+        topSpacer.style.height = `${Math.max(0, offsets[first] - rowGap)}px`;
+        bottomSpacer.style.height = `${Math.max(0, offsets[items.length] - offsets[last + 1] - rowGap)}px`;
+    }
+    
+    function scheduleRender() {
+        if (!frame) {
+            frame = requestAnimationFrame(render);
+        }
+    }
+    
+    // Render, then bring a row into view and focus it
+    function focusIndex(index) {
+        if (index < 0 || index >= items.length) return;
+        
+        if (index < first || index > last) {
+            const { top, bottom } = viewport();
+            const rowTop = listEl.getBoundingClientRect().top + offsets[index];
+            const rowHeight = heights[index] !== undefined ? heights[index] : estimates[items[index].type];
+            const delta = index < first ? rowTop - top : rowTop + rowHeight - bottom;
+            
+            if (scrollEl.scrollHeight > scrollEl.clientHeight) {
+                scrollEl.scrollTop += delta;
+            } else {
+                window.scrollBy(0, delta);
+            }
+            render();
+        }
+        
+        const element = rendered.get(index);
+        if (element) {
+            element.focus();
+        }
+    }
+    
+    rowGap = parseFloat(getComputedStyle(listEl).rowGap) || 0;
+    render();
+    // Second pass with real row heights from the first
+    render();
+    
+    scrollEl.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+    
+    return {
+        focusIndex,
+        destroy() {
+            if (frame) cancelAnimationFrame(frame);
+            scrollEl.removeEventListener('scroll', scheduleRender);
+            window.removeEventListener('scroll', scheduleRender);
+            window.removeEventListener('resize', scheduleRender);
+            listEl.classList.remove('virtual-list');
+        }
+    };
 }
 
 // Update pagination controls
@@ -1573,6 +2898,19 @@ function updatePagination(totalItems, totalPages) {
     });
 }
 
+// Change the sort order (from #sortBy or a table column header)
+function changeSort(value) {
+    const wasFuzzy = isFuzzySearch();
+    sortBy = value;
+    document.getElementById('sortBy').value = value;
+    // Switching in or out of relevance changes which files match (typo tolerance)
+    if (document.getElementById('searchInput').value && wasFuzzy !== isFuzzySearch()) {
+        applyFilters();
+    } else {
+        displayDownloads();
+    }
+}
+
 // Get total items for current view (used by pagination)
 function getCurrentViewItemCount() {
     const searchTerm = document.getElementById('searchInput').value;
@@ -1582,7 +2920,11 @@ function getCurrentViewItemCount() {
         return filterDownloads(allDownloads, {
             searchTerm,
             fileTypes: activeFileTypes,
-            excludeZeroByte: true
+            excludeHidden: true,
+            scopePath: getSearchScopePath(),
+            dateRange: activeDateRange,
+            sizeRange: activeSizeRange,
+            folders: activeFacetFolders
         }).length;
     }
     
@@ -1594,13 +2936,30 @@ function getCurrentViewItemCount() {
     const folders = Array.from(node.folders);
     const files = filterDownloads(node.files, {
         fileTypes: activeFileTypes,
-        excludeZeroByte: true
+        excludeHidden: true,
+        dateRange: activeDateRange,
+        sizeRange: activeSizeRange,
+        folders: activeFacetFolders
     });
     
     const filteredFolders = folders.filter(folderName => folderHasMatchingFiles(pathKey, folderName));
     return filteredFolders.length + files.length;
 }
 
+// List display: pages of `itemsPerPage` rows, or one virtualized infinite list
+const LIST_MODE_KEY = 'listMode';
+const PAGE_SIZE_KEY = 'pageSize';
+const PAGE_SIZES = [25, 50, 100, 200, 500];
+
+function getListMode() {
+    return localStorage.getItem(LIST_MODE_KEY) === 'scroll' ? 'scroll' : 'pages';
+}
+
+function getStoredPageSize() {
+    const size = parseInt(localStorage.getItem(PAGE_SIZE_KEY), 10);
+    return PAGE_SIZES.includes(size) ? size : 100;
+}
+
 // Navigate pages
 function goToPage(page) {
     currentPage = page;
@@ -1724,6 +3083,7 @@ function initializeSearch(updateClearButtonVisibility) {
             const query = searchInput.value.trim();
             if (query.length >= 2) {
                 BlobExplorerAnalytics.search(query, filteredDownloads.length);
+                addRecentSearch(query);
             }
         }, 1500);
     });
@@ -1734,6 +3094,18 @@ function initializeSearch(updateClearButtonVisibility) {
         applyFilters();
     });
     
+    // Search scope toggle
+    document.querySelectorAll('#searchScope button').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.scope === searchScope) return;
+            setSearchScope(button.dataset.scope);
+            if (searchInput.value) {
+                applyFilters();
+            }
+        });
+    });
+    renderSearchScope();
+    
     // Logo click - navigate to home (with keyboard support)
     const headerBrand = document.getElementById('headerBrand');
     const goHome = () => {
@@ -1778,35 +3150,69 @@ function initializePagination() {
     });
     
     // Sort dropdown
-    document.getElementById('sortBy').addEventListener('change', (e) => {
-        sortBy = e.target.value;
+    document.getElementById('sortBy').addEventListener('change', (e) => changeSort(e.target.value));
+    
+    // List mode / page size dropdown
+    const listViewSelect = document.getElementById('listView');
+    itemsPerPage = getStoredPageSize();
+    listViewSelect.value = getListMode() === 'scroll' ? 'scroll' : String(itemsPerPage);
+    
+    listViewSelect.addEventListener('change', (e) => {
+        if (e.target.value === 'scroll') {
+            localStorage.setItem(LIST_MODE_KEY, 'scroll');
+            currentPage = 1;
+        } else {
+            // Stay on the page that contains the first row currently shown
+            const firstRow = getListMode() === 'scroll' ? 0 : (currentPage - 1) * itemsPerPage;
+            itemsPerPage = parseInt(e.target.value, 10);
+            currentPage = Math.floor(firstRow / itemsPerPage) + 1;
+            localStorage.setItem(LIST_MODE_KEY, 'pages');
+            localStorage.setItem(PAGE_SIZE_KEY, String(itemsPerPage));
+        }
         displayDownloads();
     });
 }
 
 // Initialize file type filter dropdown
 function initializeFilterDropdown() {
-    const filterDropdownBtn = document.getElementById('fileTypeFilterBtn');
-    const filterDropdown = document.getElementById('fileTypeFilter');
+    // `render` fills dropdowns that depend on the current results as they open
+    const dropdowns = [
+        { button: document.getElementById('fileTypeFilterBtn'), content: document.getElementById('fileTypeFilter') },
+        { button: document.getElementById('dateFilterBtn'), content: document.getElementById('dateFilter'), render: () => renderRangeFilter('date') },
+        { button: document.getElementById('sizeFilterBtn'), content: document.getElementById('sizeFilter'), render: () => renderRangeFilter('size') },
+        { button: document.getElementById('exportBtn'), content: document.getElementById('exportMenu'), render: renderExportMenu }
+    ];
     
-    filterDropdownBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const isOpen = filterDropdown.classList.toggle('show');
-        filterDropdownBtn.setAttribute('aria-expanded', isOpen);
+    const closeDropdown = ({ button, content }) => {
+        content.classList.remove('show');
+        button.setAttribute('aria-expanded', 'false');
+    };
+    
+    dropdowns.forEach(dropdown => {
+        const { button, content, render } = dropdown;
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            dropdowns.filter(other => other !== dropdown).forEach(closeDropdown);
+            const isOpen = content.classList.toggle('show');
+            button.setAttribute('aria-expanded', isOpen);
+            if (isOpen && render) {
+                render();
+            }
+        });
+        
+        // Prevent dropdown from closing when clicking inside
+        content.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
     });
     
-    // Close dropdown when clicking outside
+    // Close dropdowns when clicking outside
     document.addEventListener('click', (e) => {
         if (!e.target.closest('.custom-dropdown')) {
-            filterDropdown.classList.remove('show');
-            filterDropdownBtn.setAttribute('aria-expanded', 'false');
+            dropdowns.forEach(closeDropdown);
         }
     });
-    
-    // Prevent dropdown from closing when clicking inside
-    filterDropdown.addEventListener('click', (e) => {
-        e.stopPropagation();
-    });
 }
 
 // Initialize mobile sidebar
@@ -1998,12 +3404,16 @@ function initializeKeyboardShortcuts(searchInput, helpModal, closeHelpModal, clo
             searchInput.focus();
         }
         
-        // Escape - Clear search or close sidebar/modal
+        // Escape - Close suggestions, clear search or close sidebar/modal
         if (e.key === 'Escape') {
-            if (pinModal.classList.contains('active')) {
+            if (isSearchSuggestionsOpen()) {
+                closeSearchSuggestions();
+            } else if (pinModal.classList.contains('active')) {
                 closePinModal();
             } else if (helpModal.classList.contains('active')) {
                 closeHelpModal();
+            } else if (isPreviewOpen()) {
+                closePreview();
             } else if (sidebar.classList.contains('active')) {
                 closeSidebar();
             } else if (searchInput.value && !isInputFocused) {
@@ -2031,7 +3441,20 @@ function initializeCopyHandlers() {
             if (filePath) {
                 BlobExplorerAnalytics.copyLink(fileName, filePath);
             }
-            copyToClipboard(copyBtn.dataset.url, copyBtn, '<span class="icon-copy"></span> Copy Link', 'Link copied to clipboard!');
+            const originalHtml = copyBtn.classList.contains('icon-button')
+                ? '<span class="icon-copy" aria-hidden="true"></span>'
+                : '<span class="icon-copy"></span> Copy Link';
+            copyToClipboard(copyBtn.dataset.url, copyBtn, originalHtml, 'Link copied to clipboard!');
+        }
+    });
+    
+    // Hash copy button handler (file cards, the MD5 column and the Verify dialog)
+    document.addEventListener('click', (e) => {
+        const hashBtn = e.target.closest('.copy-hash-button');
+        if (hashBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            copyToClipboard(hashBtn.dataset.hash, hashBtn, hashBtn.innerHTML, 'Hash copied to clipboard!');
         }
     });
     
@@ -2043,9 +3466,14 @@ function initializeCopyHandlers() {
             const url = downloadBtn.dataset.url;
             const filePath = downloadBtn.dataset.path;
             if (url && filePath) {
-                // Track the download
                 const fileName = filePath.split('/').pop();
                 const download = allDownloads.find(d => d.Name === filePath);
+                if (download && isDownloadManagerEnabled()) {
+                    queueDownloads([download]); // Tracked once the download completes
+                    return;
+                }
+                
+                // Track the download
                 const fileSize = download ? download.Length : 0;
                 const typeInfo = download ? getFileTypeInfo(download) : { name: 'Unknown' };
                 BlobExplorerAnalytics.download(fileName, filePath, fileSize, typeInfo.name);
@@ -2064,22 +3492,27 @@ function initializeUrlState(searchInput, updateClearButtonVisibility) {
     if (searchParam) {
         searchInput.value = searchParam;
         updateClearButtonVisibility();
-        currentPath = [];
-    } else if (pathParam) {
+    }
+    if (pathParam) {
         currentPath = pathParam.split('/').filter(p => p.length > 0);
     }
+    setSearchScope(searchParam && urlParams.get('scope') === 'folder' ? 'folder' : 'all');
+    readRangeFilters(urlParams);
+    updateRangeFilterButtons();
     
     // Track initial page view
     BlobExplorerAnalytics.pageView();
     
     // Set initial history state
-    window.history.replaceState({ path: currentPath, search: searchInput.value }, '', window.location);
+    window.history.replaceState({ path: currentPath, search: searchInput.value, scope: searchScope }, '', window.location);
     
     // Handle browser back/forward buttons
     window.addEventListener('popstate', (event) => {
         if (event.state) {
             currentPath = event.state.path || [];
             searchInput.value = event.state.search || '';
+            setSearchScope(event.state.scope || 'all');
+            readRangeFilters(new URLSearchParams(window.location.search));
             updateClearButtonVisibility();
             
             renderFavorites();
@@ -2090,193 +3523,3442 @@ function initializeUrlState(searchInput, updateClearButtonVisibility) {
 }
 
 // ============================================================================
-// Custom Storage URL Feature
+// Facets
 // ============================================================================
+// A collapsible panel breaking the current result set (the search results, or
+// everything under the current folder) down by type, top-level folder, month
+// modified and size. Each facet counts the files passing every other filter, so
+// picking a value never hides its alternatives. Types, months and sizes drive the
+// same filters as the dropdowns; folders are kept in activeFacetFolders. Active
+// filters show as removable chips above the list, however they were set.
 
-const CUSTOM_URL_KEY = 'customStorageUrl';
+const FACETS_OPEN_KEY = 'facetsOpen';
+const MAX_FACET_VALUES = 8;
 
-// Check if custom URL feature is enabled
-function isCustomUrlEnabled() {
-    return typeof window.APP_CONFIG !== 'undefined' && window.APP_CONFIG.allowCustomUrl === true;
-}
+let facetsRenderKey = null; // { key, downloads } the panel was last counted for
+const expandedFacets = new Set(); // Facets showing all of their values
 
-// Get stored custom URL from localStorage
-function getCustomUrl() {
-    try {
-        return localStorage.getItem(CUSTOM_URL_KEY) || '';
-    } catch (e) {
-        console.error('Failed to get custom URL:', e);
-        return '';
+// Whether a download sits under one of the given folder paths
+function isInFolders(download, folders) {
+    for (const folder of folders) {
+        if (download.Name.startsWith(folder + '/')) return true;
     }
+    return false;
 }
 
-// Save custom URL to localStorage
-function saveCustomUrl(url) {
-    try {
-        if (url) {
-            localStorage.setItem(CUSTOM_URL_KEY, url);
-        } else {
-            localStorage.removeItem(CUSTOM_URL_KEY);
-        }
-    } catch (e) {
-        console.error('Failed to save custom URL:', e);
-    }
+function isFacetsPanelOpen() {
+    return localStorage.getItem(FACETS_OPEN_KEY) === 'true';
 }
 
-// Fetch blobs from a custom Azure Blob Storage URL (client-side)
-async function fetchBlobsFromUrl(baseUrl, onProgress) {
-    const blobs = [];
-    let marker = null;
-    let pageNum = 0;
-    const maxResults = 5000;
-    
-    // Ensure URL doesn't have trailing slash
-    baseUrl = baseUrl.replace(/\/$/, '');
-    
-    // Check if we need to use the CORS proxy
-    // The proxy is needed when fetching from a different origin
-    const currentOrigin = window.location.origin;
-    const targetUrl = new URL(baseUrl);
-    const needsProxy = targetUrl.origin !== currentOrigin;
-    
-    // Convert Azure URL to proxy URL if needed
-    // Example: https://account.blob.core.windows.net/container 
-    //       -> /api/blob-proxy/account.blob.core.windows.net/container
-    const getProxiedUrl = (url) => {
-        if (!needsProxy) return url;
-        const parsed = new URL(url);
-        // Only proxy Azure Blob Storage URLs
-        if (!parsed.hostname.endsWith('.blob.core.windows.net')) {
-            throw new Error('Only Azure Blob Storage URLs are supported');
-        }
-        return `/api/blob-proxy/${parsed.hostname}${parsed.pathname}${parsed.search}`;
-    };
-    
-    while (true) {
-        pageNum++;
-        let url = `${baseUrl}?restype=container&comp=list&maxresults=${maxResults}`;
-        if (marker) {
-            url += `&marker=${encodeURIComponent(marker)}`;
-        }
+// The facets describe the search results, or everything under the current folder
+function getFacetBasePath() {
+    const searchTerm = document.getElementById('searchInput').value;
+    return searchTerm ? getSearchScopePath() : currentPath.join('/');
+}
+
+// Count each facet's values over the files that pass all other filters
+function countFacets() {
+    const searchTerm = document.getElementById('searchInput').value;
+    const basePath = getFacetBasePath();
+    const files = filterDownloads(allDownloads, { searchTerm, scopePath: basePath });
+    
+    const dateTest = createRangeTest(activeDateRange, null);
+    const sizeTest = createRangeTest(null, activeSizeRange);
+    const prefixLength = basePath ? basePath.length + 1 : 0;
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    
+    const types = new Map();
+    const folders = new Map();
+    const months = new Map();
+    const sizeFiles = [];
+    
+    files.forEach(download => {
+        const typeName = getFileTypeInfo(download).name;
+        const failed = [];
+        if (activeFileTypes.size > 0 && !activeFileTypes.has(typeName)) failed.push('type');
+        if (activeFacetFolders.size > 0 && !isInFolders(download, activeFacetFolders)) failed.push('folder');
+        if (dateTest && !dateTest(download)) failed.push('date');
+        if (sizeTest && !sizeTest(download)) failed.push('size');
         
-        if (onProgress) {
-            onProgress(`Fetching page ${pageNum}... (${blobs.length} items so far)`);
-        }
+        // A file failing one filter still counts toward that filter's alternatives
+        if (failed.length > 1) return;
+        const counts = facet => failed.length === 0 || failed[0] === facet;
         
-        const fetchUrl = getProxiedUrl(url);
-        const response = await fetch(fetchUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch blob list: ${response.status} ${response.statusText}`);
+        if (counts('type')) {
+            increment(types, typeName);
         }
-        
-        const xmlText = await response.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        
-        // Check for parse errors
-        const parseError = xmlDoc.querySelector('parsererror');
-        if (parseError) {
-            throw new Error('Invalid XML response from storage');
+        if (counts('folder')) {
+            const slash = download.Name.indexOf('/', prefixLength);
+            if (slash !== -1) increment(folders, download.Name.slice(0, slash));
         }
-        
-        // Extract blobs
-        const blobElements = xmlDoc.querySelectorAll('Blob');
-        blobElements.forEach(blobEl => {
-            const name = blobEl.querySelector('Name')?.textContent || '';
-            const props = blobEl.querySelector('Properties');
-            
-            if (name) {
-                const encodedName = name.split('/').map(part => encodeURIComponent(part)).join('/');
-                blobs.push({
-                    Name: name,
-                    Url: `${baseUrl}/${encodedName}`,
-                    Length: parseInt(props?.querySelector('Content-Length')?.textContent || '0', 10),
-                    LastModified: props?.querySelector('Last-Modified')?.textContent || '',
-                    ContentType: props?.querySelector('Content-Type')?.textContent || ''
-                });
-            }
-        });
-        
-        // Check for next page
-        const nextMarker = xmlDoc.querySelector('NextMarker')?.textContent;
-        if (!nextMarker) {
-            break;
+        if (counts('date')) {
+            const date = new Date(download.LastModified);
+            if (!isNaN(date)) increment(months, `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`);
         }
-        marker = nextMarker;
-    }
+        if (counts('size')) {
+            sizeFiles.push(download);
+        }
+    });
     
-    return blobs;
+    return { types, folders, months, sizes: buildSizeHistogram(sizeFiles).filter(bucket => bucket.count > 0) };
 }
 
-// Load data from custom URL
-async function loadDataFromCustomUrl(customUrl) {
-    const loadingEl = document.getElementById('downloadList');
+// Year shown month by month in the Modified facet: the one the date range is limited to, if any
+function getFacetYear() {
+    const range = activeDateRange;
+    const period = /^(\d{4})(-\d{2})?$/;
+    const from = range && range.from && range.from.match(period);
+    const to = range && range.to && range.to.match(period);
+    return from && to && from[1] === to[1] ? from[1] : null;
+}
+
+// Number of types offered by the File Types dropdown (reported with filter-change)
+function getFileTypeOptionCount() {
+    return document.querySelectorAll('#fileTypeFilter input[type="checkbox"]').length;
+}
+
+// Values of each facet: [{ label, count, selected, value }], in display order
+function buildFacetGroups(counts) {
+    const byCount = map => Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+    const isDateRange = key => !!activeDateRange && activeDateRange.from === key && activeDateRange.to === key;
+    
+    // Years, or the months of the year the range is limited to
+    const year = getFacetYear();
+    let dateValues;
+    if (year) {
+        dateValues = Array.from(counts.months.entries())
+            .filter(([month]) => month.startsWith(year))
+            .sort((a, b) => b[0].localeCompare(a[0]))
+            .map(([month, count]) => ({
+                label: new Date(Number(year), Number(month.slice(5)) - 1, 1).toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
+                count,
+                selected: isDateRange(month),
+                value: month
+            }));
+    } else {
+        const years = new Map();
+        counts.months.forEach((count, month) => years.set(month.slice(0, 4), (years.get(month.slice(0, 4)) || 0) + count));
+        dateValues = Array.from(years.entries())
+            .sort((a, b) => b[0].localeCompare(a[0]))
+            .map(([key, count]) => ({ label: key, count, selected: isDateRange(key), value: key }));
+    }
     
-    try {
-        loadingEl.innerHTML = '<div class="loading">Connecting to storage...</div>';
-        
-        const blobs = await fetchBlobsFromUrl(customUrl, (status) => {
-            loadingEl.innerHTML = `<div class="loading">${status}</div>`;
-        });
-        
-        console.log('Fetched', blobs.length, 'blobs from custom URL');
-        
-        if (blobs.length === 0) {
-            throw new Error('No blobs found in storage container');
-        }
-        
-        // Clear existing data
-        allDownloads = blobs;
-        filteredDownloads = [...allDownloads];
-        
-        // Rebuild optimized data structures
-        console.log('Building folder tree...');
-        buildFolderTree();
-        console.log('Folder tree built with', folderTree.size, 'nodes');
-        
-        // Cache the data
-        await cacheData({ downloads: blobs, timestamp: Date.now(), customUrl: customUrl });
-        
-        // Reset to home and re-render
-        currentPath = [];
-        initializeFilters();
-        renderFavorites();
-        displayDownloads();
-        
-        // Update last updated display
-        const lastUpdatedEl = document.getElementById('lastUpdated');
-        if (lastUpdatedEl) {
-            lastUpdatedEl.textContent = 'Custom storage loaded just now';
-            lastUpdatedEl.title = new Date().toLocaleString();
+    return [
+        {
+            facet: 'type',
+            title: 'Type',
+            empty: 'No files',
+            values: byCount(counts.types).map(([name, count]) => ({ label: name, count, selected: activeFileTypes.has(name), value: name }))
+        },
+        {
+            facet: 'folder',
+            title: 'Folder',
+            empty: 'No subfolders',
+            values: byCount(counts.folders).map(([path, count]) => ({
+                label: path.slice(path.lastIndexOf('/') + 1),
+                count,
+                selected: activeFacetFolders.has(path),
+                value: path
+            }))
+        },
+        {
+            facet: 'date',
+            title: year ? `Modified in ${year}` : 'Modified',
+            empty: 'No dates',
+            values: dateValues
+        },
+        {
+            facet: 'size',
+            title: 'Size',
+            empty: 'No files',
+            values: counts.sizes.map((bucket, index) => ({
+                label: bucket.label,
+                count: bucket.count,
+                selected: !!activeSizeRange && activeSizeRange.min === bucket.min && activeSizeRange.max === bucket.max,
+                value: index,
+                bucket
+            }))
         }
-        
-        return { success: true, count: blobs.length };
-        
-    } catch (error) {
-        console.error('Error loading from custom URL:', error);
-        throw error;
-    }
+    ];
 }
 
-// Initialize settings modal
-function initializeSettingsModal() {
-    const settingsButton = document.getElementById('settingsButton');
-    const settingsModal = document.getElementById('settingsModal');
-    const settingsModalClose = document.getElementById('settingsModalClose');
-    const customUrlInput = document.getElementById('customUrlInput');
-    const settingsStatus = document.getElementById('settingsStatus');
-    const loadBtn = document.getElementById('settingsLoadBtn');
-    const resetBtn = document.getElementById('settingsResetBtn');
+// Render the facets panel, skipping the counting when nothing it depends on changed
+function renderFacets() {
+    const panel = document.getElementById('facetsPanel');
+    if (!isFacetsPanelOpen()) return;
     
-    // Show settings button if feature is enabled
-    if (isCustomUrlEnabled()) {
-        settingsButton.style.display = 'flex';
-    }
+    const searchTerm = document.getElementById('searchInput').value;
+    const key = JSON.stringify([
+        searchTerm, getFacetBasePath(), isFuzzySearch(), Array.from(activeFileTypes), Array.from(activeFacetFolders),
+        activeDateRange, activeSizeRange && [activeSizeRange.min, String(activeSizeRange.max)], Array.from(expandedFacets)
+    ]);
+    if (facetsRenderKey && facetsRenderKey.key === key && facetsRenderKey.downloads === allDownloads) return;
+    facetsRenderKey = { key, downloads: allDownloads };
+    
+    const groups = buildFacetGroups(countFacets());
+    panel.innerHTML = groups.map(({ facet, title, empty, values }) => {
+        const expanded = expandedFacets.has(facet);
+        const shown = expanded ? values : values.slice(0, MAX_FACET_VALUES);
+        return `
+            <section class="facet" aria-label="${title}">
+                <h4>${title}</h4>
+                ${values.length === 0 ? `<p class="facet-empty">${empty}</p>` : `
+                <ul class="facet-values">${shown.map((value, index) => `
+                    <li>
+                        <button type="button" class="facet-value" data-facet="${facet}" data-index="${index}" aria-pressed="${value.selected}">
+                            <span class="facet-label">${escapeHtml(value.label)}</span>
+                            <span class="facet-count">${value.count}</span>
+                        </button>
+                    </li>`).join('')}
+                </ul>`}
+                ${values.length > MAX_FACET_VALUES ? `
+                <button type="button" class="facet-more" data-facet="${facet}">
+                    ${expanded ? 'Show fewer' : `Show all ${values.length}`}
+                </button>` : ''}
+            </section>`;
+    }).join('');
     
-    // Load saved URL
-    customUrlInput.value = getCustomUrl();
+    panel.querySelectorAll('.facet-value').forEach(button => {
+        button.addEventListener('click', () => {
+            const group = groups.find(g => g.facet === button.dataset.facet);
+            selectFacetValue(group.facet, group.values[Number(button.dataset.index)]);
+        });
+    });
     
-    const showStatus = (type, message) => {
+    panel.querySelectorAll('.facet-more').forEach(button => {
+        button.addEventListener('click', () => {
+            const facet = button.dataset.facet;
+            if (!expandedFacets.delete(facet)) expandedFacets.add(facet);
+            renderFacets();
+        });
+    });
+}
+
+// Toggle a facet value as a filter
+function selectFacetValue(facet, value) {
+    BlobExplorerAnalytics.facetSelect(facet, String(value.value), !value.selected);
+    
+    switch (facet) {
+        case 'type':
+            if (value.selected) {
+                activeFileTypes.delete(value.value);
+            } else {
+                activeFileTypes.add(value.value);
+            }
+            BlobExplorerAnalytics.filterChange(Array.from(activeFileTypes), getFileTypeOptionCount());
+            break;
+        case 'folder':
+            if (value.selected) {
+                activeFacetFolders.delete(value.value);
+            } else {
+                activeFacetFolders.add(value.value);
+            }
+            break;
+        case 'date':
+            setRangeFilter('date', value.selected ? null : { from: value.value, to: value.value });
+            return;
+        case 'size':
+            setRangeFilter('size', value.selected ? null : { min: value.bucket.min, max: value.bucket.max });
+            return;
+    }
+    applyFilters();
+}
+
+// Chips for every active filter, each removing its filter when dismissed
+function renderFilterChips() {
+    const container = document.getElementById('filterChips');
+    const chips = [];
+    
+    // Many types picked in the dropdown collapse into one chip
+    if (activeFileTypes.size > 3) {
+        chips.push({ kind: 'type', label: `Types: ${activeFileTypes.size} selected`, remove: () => activeFileTypes.clear() });
+    } else {
+        activeFileTypes.forEach(type => chips.push({ kind: 'type', label: `Type: ${type}`, remove: () => activeFileTypes.delete(type) }));
+    }
+    activeFacetFolders.forEach(path => chips.push({
+        kind: 'folder',
+        label: `Folder: ${path.slice(path.lastIndexOf('/') + 1)}`,
+        title: path,
+        remove: () => activeFacetFolders.delete(path)
+    }));
+    if (activeDateRange) {
+        chips.push({ kind: 'date', label: `Modified: ${describeDateRange(activeDateRange)}`, remove: () => { activeDateRange = null; } });
+    }
+    if (activeSizeRange) {
+        chips.push({ kind: 'size', label: `Size: ${describeSizeRange(activeSizeRange)}`, remove: () => { activeSizeRange = null; } });
+    }
+    
+    container.hidden = chips.length === 0;
+    container.innerHTML = chips.map((chip, index) => `
+        <span class="filter-chip"${chip.title ? ` title="${escapeHtml(chip.title)}"` : ''}>
+            ${escapeHtml(chip.label)}
+            <button type="button" class="filter-chip-remove" data-index="${index}" aria-label="Remove filter ${escapeHtml(chip.label)}">&times;</button>
+        </span>`).join('') +
+        (chips.length > 1 ? '<button type="button" class="filter-chips-clear">Clear all</button>' : '');
+    
+    const removeFilters = (removed) => {
+        removed.forEach(chip => chip.remove());
+        
+        const kinds = new Set(removed.map(chip => chip.kind));
+        if (kinds.has('type')) BlobExplorerAnalytics.filterChange(Array.from(activeFileTypes), getFileTypeOptionCount());
+        if (kinds.has('date')) BlobExplorerAnalytics.rangeFilterChange('date', '');
+        if (kinds.has('size')) BlobExplorerAnalytics.rangeFilterChange('size', '');
+        
+        updateRangeFilterButtons();
+        applyFilters();
+    };
+    
+    container.querySelectorAll('.filter-chip-remove').forEach(button => {
+        button.addEventListener('click', () => removeFilters([chips[Number(button.dataset.index)]]));
+    });
+    
+    const clearAll = container.querySelector('.filter-chips-clear');
+    if (clearAll) {
+        clearAll.addEventListener('click', () => removeFilters(chips));
+    }
+}
+
+// Show or hide the facets panel, remembering the choice
+function setFacetsPanelOpen(open) {
+    localStorage.setItem(FACETS_OPEN_KEY, open ? 'true' : 'false');
+    
+    const toggle = document.getElementById('facetsToggle');
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    document.getElementById('facetsPanel').hidden = !open;
+    
+    if (open) {
+        facetsRenderKey = null;
+        renderFacets();
+    }
+}
+
+function initializeFacets() {
+    document.getElementById('facetsToggle').addEventListener('click', () => {
+        setFacetsPanelOpen(!isFacetsPanelOpen());
+    });
+    setFacetsPanelOpen(isFacetsPanelOpen());
+}
+
+// ============================================================================
+// List Views
+// ============================================================================
+// Files and folders render as cards (the default), as rows of a dense table, or
+// as tiles of a compact grid with thumbnails for images. The view is remembered
+// in localStorage. Table columns can be shown, hidden and resized; clicking a
+// column header sorts by it, kept in sync with #sortBy. Grid tiles are grouped
+// into rows of `columns` tiles so paging and the virtual list work unchanged.
+
+const VIEW_MODE_KEY = 'viewMode';
+const VIEW_MODES = ['list', 'table', 'grid'];
+const TABLE_COLUMNS_KEY = 'tableColumns';
+const MIN_COLUMN_WIDTH = 60;
+const TABLE_ACTIONS_WIDTH = 168; // Preview, copy, verify and download buttons (and the column picker in the header)
+const GRID_TILE_WIDTH = 160; // Minimum tile width including the gap, in pixels
+const GRID_THUMBNAIL_MAX_BYTES = 10 * 1024 * 1024; // Larger images show their type icon instead
+
+// Table columns; `sorts` are the #sortBy values a header click cycles through (or `altSorts`,
+// when one of those is the current sort)
+const TABLE_COLUMNS = [
+    { id: 'name', label: 'Name', width: 320, sorts: ['name-asc', 'name-desc'], altSorts: ['natural-asc', 'natural-desc'], required: true },
+    { id: 'type', label: 'Type', width: 110 },
+    { id: 'size', label: 'Size', width: 100, sorts: ['size-desc', 'size-asc'] },
+    { id: 'modified', label: 'Modified', width: 130, sorts: ['date-desc', 'date-asc'] },
+    { id: 'contentType', label: 'Content Type', width: 180, hiddenByDefault: true },
+    { id: 'md5', label: 'MD5', width: 270, hiddenByDefault: true },
+    { id: 'path', label: 'Path', width: 260, searchOnly: true }
+];
+
+// Columns that existed before the saved settings started recording the known columns
+const LEGACY_TABLE_COLUMNS = ['name', 'type', 'size', 'modified', 'contentType', 'path'];
+
+let gridColumns = 1; // Tiles per grid row at the last render
+
+function getViewMode() {
+    const mode = localStorage.getItem(VIEW_MODE_KEY);
+    return VIEW_MODES.includes(mode) ? mode : 'list';
+}
+
+// { hidden: [column ids], widths: { id: px }, columns: [column ids known when saved] }
+function getTableColumnSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TABLE_COLUMNS_KEY));
+        if (stored && Array.isArray(stored.hidden) && stored.widths) {
+            // Columns added since the settings were saved start out with their default visibility
+            const known = stored.columns || LEGACY_TABLE_COLUMNS;
+            TABLE_COLUMNS.forEach(column => {
+                if (column.hiddenByDefault && !known.includes(column.id) && !stored.hidden.includes(column.id)) {
+                    stored.hidden.push(column.id);
+                }
+            });
+            return stored;
+        }
+    } catch (e) {
+        // Fall through to the defaults
+    }
+    return { hidden: TABLE_COLUMNS.filter(column => column.hiddenByDefault).map(column => column.id), widths: {} };
+}
+
+function saveTableColumnSettings(settings) {
+    const columns = TABLE_COLUMNS.map(column => column.id);
+    localStorage.setItem(TABLE_COLUMNS_KEY, JSON.stringify({ ...settings, columns }));
+}
+
+// Columns shown in the table; the path column only appears in search results
+function getVisibleTableColumns(showPath) {
+    const { hidden } = getTableColumnSettings();
+    return TABLE_COLUMNS.filter(column => !hidden.includes(column.id) && (showPath || !column.searchOnly));
+}
+
+// CSS grid template shared by the header and the rows (the name column takes the spare room)
+function applyTableColumnWidths(columns) {
+    const { widths } = getTableColumnSettings();
+    const template = columns.map(column => {
+        const width = widths[column.id] || column.width;
+        return column.id === 'name' ? `minmax(${width}px, 1fr)` : `${width}px`;
+    }).join(' ') + ` ${TABLE_ACTIONS_WIDTH}px`;
+    document.getElementById('main-content').style.setProperty('--table-columns', template);
+}
+
+// Arrow keys move between rows (see focusAdjacentListItem)
+function addListItemArrowKeys(element) {
+    element.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            focusAdjacentListItem(element, 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            focusAdjacentListItem(element, -1);
+        }
+    });
+}
+
+// Compact preview, copy, verify and download buttons for table rows and grid tiles
+function renderCompactActions(download, fileName) {
+    return `
+        ${renderPreviewButton(download, true)}
+        <button class="copy-link-button icon-button" data-url="${escapeHtml(download.Url)}" data-path="${escapeHtml(download.Name)}" aria-label="Copy download link for ${escapeHtml(fileName)}" title="Copy link"><span class="icon-copy" aria-hidden="true"></span></button>
+        ${download.ContentMD5 ? `<button class="verify-button icon-button" data-path="${escapeHtml(download.Name)}" aria-label="Verify a local copy of ${escapeHtml(fileName)}" title="Verify a local copy"><span aria-hidden="true">✓</span></button>` : ''}
+        <button class="download-button icon-button" data-path="${escapeHtml(download.Name)}" data-url="${escapeHtml(download.Url)}" aria-label="Download ${escapeHtml(fileName)}" title="Download"${isOffline ? ' disabled' : ''}><span aria-hidden="true">↓</span></button>`;
+}
+
+// Table row for a file
+function createDownloadRowElement(download, showPath, highlightTerms) {
+    const typeInfo = getFileTypeInfo(download);
+    const fileName = download.Name.split('/').pop();
+    const folderPath = download.Name.slice(0, download.Name.length - fileName.length - 1);
+    const matches = highlightTerms.length > 0
+        ? findMatchPositions(download.Name, highlightTerms, isFuzzySearch())
+        : new Set();
+    
+    const cells = {
+        name: `${renderSelectCheckbox(download)}
+               <span class="download-icon" aria-hidden="true" style="color: ${escapeHtml(typeInfo.color)}">${typeInfo.icon}</span>
+               <span class="download-name" title="${escapeHtml(fileName)}">${highlightText(fileName, matches, folderPath ? folderPath.length + 1 : 0)}</span>`,
+        type: escapeHtml(typeInfo.name),
+        size: formatFileSize(download.Length),
+        modified: formatDate(download.LastModified),
+        contentType: escapeHtml(download.ContentType || ''),
+        md5: download.ContentMD5 ? renderHashButton(base64ToHex(download.ContentMD5), `MD5 of ${fileName}`) : '',
+        path: `<span title="${escapeHtml(folderPath || 'Root')}">${folderPath ? highlightText(folderPath, matches, 0) : 'Root'}</span>`
+    };
+    
+    const rowEl = document.createElement('div');
+    rowEl.className = selectedFiles.has(download.Name) ? 'download-row selected' : 'download-row';
+    rowEl.setAttribute('role', 'listitem');
+    rowEl.setAttribute('tabindex', '0');
+    rowEl.innerHTML = getVisibleTableColumns(showPath)
+        .map(column => `<div class="table-cell cell-${column.id}">${cells[column.id]}</div>`)
+        .join('') + `<div class="table-cell cell-actions">${renderCompactActions(download, fileName)}</div>`;
+    
+    addListItemArrowKeys(rowEl);
+    return rowEl;
+}
+
+// Table row for a folder
+function createFolderRowElement(item, showPath) {
+    const columns = getVisibleTableColumns(showPath);
+    const rowEl = document.createElement('div');
+    rowEl.className = 'download-row folder-row';
+    rowEl.setAttribute('role', 'listitem');
+    const { stats } = item;
+    const cells = {
+        name: `<span class="folder-icon" aria-hidden="true"><span class="icon-folder"></span></span><span class="download-name">${escapeHtml(item.name)}</span>`,
+        type: `Folder (${stats.fileCount} file${stats.fileCount !== 1 ? 's' : ''})`,
+        size: formatFileSize(stats.totalBytes),
+        modified: stats.newest ? formatDate(stats.newest) : '',
+        contentType: renderFolderTypeMix(stats),
+        md5: '',
+        path: ''
+    };
+    rowEl.innerHTML = columns.map(column => `<div class="table-cell cell-${column.id}">${cells[column.id]}</div>`).join('') +
+        `<div class="table-cell cell-actions">${renderZipFolderButton([...currentPath, item.name].join('/'))}</div>`;
+    
+    makeListItemAccessible(rowEl, () => {
+        navigateToPath([...currentPath, item.name]);
+    });
+    return rowEl;
+}
+
+// Grid tile for a file or folder; `position` is its index in the whole list
+function createGridTileElement(item, position, total, highlightTerms) {
+    const tileEl = document.createElement('div');
+    tileEl.setAttribute('role', 'listitem');
+    tileEl.setAttribute('tabindex', '0');
+    tileEl.setAttribute('aria-posinset', position + 1);
+    tileEl.setAttribute('aria-setsize', total);
+    tileEl.dataset.position = position;
+    
+    if (item.type === 'folder') {
+        tileEl.className = 'grid-tile folder-tile';
+        tileEl.innerHTML = `
+            <div class="grid-tile-preview" aria-hidden="true"><span class="icon-folder"></span></div>
+            <div class="download-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</div>
+            <div class="grid-tile-meta">${item.stats.fileCount} file${item.stats.fileCount !== 1 ? 's' : ''} · ${formatFileSize(item.stats.totalBytes)}</div>
+            ${renderFolderTypeMix(item.stats)}
+            <div class="grid-tile-actions">${renderZipFolderButton([...currentPath, item.name].join('/'))}</div>`;
+        tileEl.setAttribute('role', 'button');
+        tileEl.addEventListener('click', () => navigateToPath([...currentPath, item.name]));
+        tileEl.addEventListener('keydown', (e) => {
+            if (e.target === tileEl && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                navigateToPath([...currentPath, item.name]);
+            }
+        });
+    } else {
+        const download = item.data;
+        const typeInfo = getFileTypeInfo(download);
+        const fileName = download.Name.split('/').pop();
+        const matches = highlightTerms.length > 0
+            ? findMatchPositions(download.Name, highlightTerms, isFuzzySearch())
+            : new Set();
+        const isImage = typeInfo.name === 'Image' || (download.ContentType || '').startsWith('image/');
+        const preview = isImage && !isOffline && download.Length <= GRID_THUMBNAIL_MAX_BYTES
+            ? `<img src="${escapeHtml(download.Url)}" alt="" loading="lazy" decoding="async">`
+            : `<span class="download-icon" style="color: ${escapeHtml(typeInfo.color)}">${typeInfo.icon}</span>`;
+        
+        tileEl.className = selectedFiles.has(download.Name) ? 'grid-tile selected' : 'grid-tile';
+        tileEl.title = download.Name;
+        tileEl.innerHTML = `
+            ${renderSelectCheckbox(download)}
+            <div class="grid-tile-preview" aria-hidden="true">${preview}</div>
+            <div class="download-name">${highlightText(fileName, matches, download.Name.length - fileName.length)}</div>
+            <div class="grid-tile-meta">${formatFileSize(download.Length)} · ${formatDate(download.LastModified)}</div>
+            <div class="grid-tile-actions">${renderCompactActions(download, fileName)}</div>`;
+    }
+    
+    // Left/right step through tiles, up/down move a whole row
+    tileEl.addEventListener('keydown', (e) => {
+        if (e.target !== tileEl) return;
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -gridColumns, ArrowDown: gridColumns };
+        if (steps[e.key] !== undefined) {
+            e.preventDefault();
+            focusGridTile(position + steps[e.key]);
+        }
+    });
+    return tileEl;
+}
+
+// One grid row of tiles (an item of the list, so the virtual list can window it)
+function createGridRowElement(row, total, highlightTerms) {
+    const rowEl = document.createElement('div');
+    rowEl.className = 'grid-row';
+    rowEl.setAttribute('role', 'none');
+    rowEl.style.setProperty('--grid-columns', gridColumns);
+    row.items.forEach((item, index) => {
+        rowEl.appendChild(createGridTileElement(item, row.start + index, total, highlightTerms));
+    });
+    return rowEl;
+}
+
+// Tiles that fit across the list at GRID_TILE_WIDTH each
+function getGridColumnCount() {
+    const width = document.getElementById('downloadList').clientWidth;
+    return Math.max(1, Math.floor(width / GRID_TILE_WIDTH));
+}
+
+// Group list items into grid rows; `start` is the position of a row's first tile
+function groupIntoGridRows(items, offset = 0) {
+    const rows = [];
+    for (let i = 0; i < items.length; i += gridColumns) {
+        rows.push({ type: 'row', start: offset + i, items: items.slice(i, i + gridColumns) });
+    }
+    return rows;
+}
+
+// Focus the tile at a position, bringing its row in first in infinite scroll mode
+function focusGridTile(position) {
+    const listEl = document.getElementById('downloadList');
+    let tile = listEl.querySelector(`.grid-tile[data-position="${position}"]`);
+    if (!tile && virtualList && position >= 0) {
+        virtualList.focusIndex(Math.floor(position / gridColumns));
+        tile = listEl.querySelector(`.grid-tile[data-position="${position}"]`);
+    }
+    if (tile) {
+        tile.focus();
+    }
+}
+
+// Header row of the table view: sortable column titles, resize handles and the column picker
+function renderTableHeader(showPath) {
+    const headerEl = document.getElementById('tableHeader');
+    const columns = getVisibleTableColumns(showPath);
+    const { hidden } = getTableColumnSettings();
+    applyTableColumnWidths(columns);
+    
+    headerEl.innerHTML = columns.map(column => {
+        const sorted = !!column.sorts && [...column.sorts, ...(column.altSorts || [])].includes(sortBy);
+        const direction = !sorted ? null : sortBy.endsWith('-asc') ? 'ascending' : 'descending';
+        const title = column.sorts
+            ? `<button type="button" class="table-sort" data-column="${column.id}">${column.label}${direction ? `<span aria-hidden="true">${direction === 'ascending' ? ' ▲' : ' ▼'}</span>` : ''}</button>`
+            : `<span class="table-header-label">${column.label}</span>`;
+        return `
+            <div class="table-header-cell cell-${column.id}" role="columnheader"${direction ? ` aria-sort="${direction}"` : ''}>
+                ${title}
+                <span class="column-resizer" data-column="${column.id}" role="separator" aria-orientation="vertical"
+                      aria-label="Resize ${column.label} column" tabindex="0"></span>
+            </div>`;
+    }).join('') + `
+        <div class="table-header-cell cell-actions">
+            <button type="button" class="table-columns-btn" aria-haspopup="true" aria-expanded="false" aria-controls="tableColumnsMenu">Columns</button>
+            <div id="tableColumnsMenu" class="table-columns-menu" hidden>
+                ${TABLE_COLUMNS.map(column => `
+                <label class="dropdown-checkbox">
+                    <input type="checkbox" value="${column.id}"${hidden.includes(column.id) ? '' : ' checked'}${column.required ? ' disabled' : ''}>
+                    <span>${column.label}${column.searchOnly ? ' (search results)' : ''}</span>
+                </label>`).join('')}
+            </div>
+        </div>`;
+    
+    headerEl.querySelectorAll('.table-sort').forEach(button => {
+        button.addEventListener('click', () => {
+            const { sorts, altSorts } = TABLE_COLUMNS.find(column => column.id === button.dataset.column);
+            const cycle = altSorts && altSorts.includes(sortBy) ? altSorts : sorts;
+            const next = cycle[(cycle.indexOf(sortBy) + 1) % cycle.length];
+            changeSort(next);
+        });
+    });
+    
+    headerEl.querySelectorAll('.column-resizer').forEach(handle => {
+        const id = handle.dataset.column;
+        const resize = (width) => {
+            const settings = getTableColumnSettings();
+            settings.widths[id] = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+            saveTableColumnSettings(settings);
+            applyTableColumnWidths(columns);
+        };
+        
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const startX = e.clientX;
+            const startWidth = handle.parentElement.getBoundingClientRect().width;
+            handle.setPointerCapture(e.pointerId);
+            const onMove = (moveEvent) => resize(startWidth + moveEvent.clientX - startX);
+            handle.addEventListener('pointermove', onMove);
+            handle.addEventListener('pointerup', () => handle.removeEventListener('pointermove', onMove), { once: true });
+        });
+        
+        handle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                const width = handle.parentElement.getBoundingClientRect().width;
+                resize(width + (e.key === 'ArrowRight' ? 20 : -20));
+            }
+        });
+    });
+    
+    const columnsBtn = headerEl.querySelector('.table-columns-btn');
+    const columnsMenu = headerEl.querySelector('.table-columns-menu');
+    columnsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        columnsMenu.hidden = !columnsMenu.hidden;
+        columnsBtn.setAttribute('aria-expanded', String(!columnsMenu.hidden));
+    });
+    columnsMenu.addEventListener('click', (e) => e.stopPropagation());
+    columnsMenu.querySelectorAll('input').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const settings = getTableColumnSettings();
+            settings.hidden = settings.hidden.filter(id => id !== checkbox.value);
+            if (!checkbox.checked) settings.hidden.push(checkbox.value);
+            saveTableColumnSettings(settings);
+            displayDownloads();
+            // Keep the picker open on the re-rendered header
+            const menu = document.getElementById('tableColumnsMenu');
+            menu.hidden = false;
+            menu.previousElementSibling.setAttribute('aria-expanded', 'true');
+        });
+    });
+}
+
+// Switch between the list, table and grid views
+function setViewMode(mode) {
+    localStorage.setItem(VIEW_MODE_KEY, mode);
+    renderViewModeButtons();
+    BlobExplorerAnalytics.viewChange(mode);
+    displayDownloads();
+}
+
+function renderViewModeButtons() {
+    const mode = getViewMode();
+    document.querySelectorAll('#viewMode button').forEach(button => {
+        button.setAttribute('aria-pressed', button.dataset.view === mode ? 'true' : 'false');
+    });
+}
+
+function initializeViewMode() {
+    document.querySelectorAll('#viewMode button').forEach(button => {
+        button.addEventListener('click', () => setViewMode(button.dataset.view));
+    });
+    renderViewModeButtons();
+    
+    // Close the column picker when clicking elsewhere
+    document.addEventListener('click', () => {
+        const menu = document.getElementById('tableColumnsMenu');
+        if (menu && !menu.hidden) {
+            menu.hidden = true;
+            menu.previousElementSibling.setAttribute('aria-expanded', 'false');
+        }
+    });
+    
+    // Grid rows hold a fixed number of tiles, so regroup when that number changes
+    let resizeFrame = null;
+    window.addEventListener('resize', () => {
+        if (getViewMode() !== 'grid' || resizeFrame) return;
+        resizeFrame = requestAnimationFrame(() => {
+            resizeFrame = null;
+            if (getGridColumnCount() !== gridColumns) {
+                displayDownloads();
+            }
+        });
+    });
+}
+
+// ============================================================================
+// Selection and Bulk Actions
+// ============================================================================
+// Files can be ticked in every view; shift-click ticks the range from the last
+// ticked file, in display order. The selection survives paging, sorting and
+// navigation (it is keyed by blob name) until cleared, and a toolbar above the
+// list offers bulk actions on it.
+
+const BULK_DOWNLOAD_INTERVAL = 1500; // Pause between downloads so the browser doesn't drop them
+
+const selectedFiles = new Map(); // blob name -> download
+let currentViewFiles = []; // Files in the current view, in display order (all pages)
+let currentViewIndex = new Map(); // blob name -> position in currentViewFiles
+let selectionAnchor = null; // Name of the last file ticked or unticked, for shift-click ranges
+let bulkDownload = null; // { queue, done, timer } while a bulk download runs
+
+// Checkbox for a file in any view
+function renderSelectCheckbox(download) {
+    const fileName = download.Name.split('/').pop();
+    return `<input type="checkbox" class="select-checkbox" data-path="${escapeHtml(download.Name)}"
+                   aria-label="Select ${escapeHtml(fileName)}"${selectedFiles.has(download.Name) ? ' checked' : ''}>`;
+}
+
+// Remember the files of the view just rendered, for ranges and "select all"
+function setCurrentViewFiles(files) {
+    currentViewFiles = files;
+    currentViewIndex = new Map(files.map((download, index) => [download.Name, index]));
+    updatePreviewNav();
+}
+
+// Re-point the selection at a freshly loaded listing, dropping files that no longer exist
+function refreshSelection() {
+    if (selectedFiles.size === 0) return;
+    const byName = new Map(allDownloads.map(download => [download.Name, download]));
+    selectedFiles.forEach((download, name) => {
+        if (byName.has(name)) {
+            selectedFiles.set(name, byName.get(name));
+        } else {
+            selectedFiles.delete(name);
+        }
+    });
+    renderSelectionToolbar();
+}
+
+// Tick or untick one file, or (with shift) every file between it and the anchor
+function toggleFileSelection(name, selected, extendRange) {
+    const index = currentViewIndex.get(name);
+    if (index === undefined) return;
+    
+    const anchorIndex = extendRange && selectionAnchor !== null ? currentViewIndex.get(selectionAnchor) : undefined;
+    const [start, end] = anchorIndex === undefined ? [index, index] : [Math.min(anchorIndex, index), Math.max(anchorIndex, index)];
+    for (let i = start; i <= end; i++) {
+        const download = currentViewFiles[i];
+        if (selected) {
+            selectedFiles.set(download.Name, download);
+        } else {
+            selectedFiles.delete(download.Name);
+        }
+    }
+    
+    selectionAnchor = name;
+    syncSelectionCheckboxes();
+    renderSelectionToolbar();
+}
+
+function selectAllInView() {
+    currentViewFiles.forEach(download => selectedFiles.set(download.Name, download));
+    syncSelectionCheckboxes();
+    renderSelectionToolbar();
+}
+
+function clearSelection() {
+    selectedFiles.clear();
+    selectionAnchor = null;
+    syncSelectionCheckboxes();
+    renderSelectionToolbar();
+}
+
+// Update the rendered checkboxes (and row highlight) from the selection
+function syncSelectionCheckboxes() {
+    document.querySelectorAll('#downloadList .select-checkbox').forEach(checkbox => {
+        const selected = selectedFiles.has(checkbox.dataset.path);
+        checkbox.checked = selected;
+        const item = checkbox.closest('.download-item, .download-row, .grid-tile');
+        if (item) item.classList.toggle('selected', selected);
+    });
+}
+
+function getSelectionTotalBytes() {
+    let total = 0;
+    selectedFiles.forEach(download => { total += download.Length; });
+    return total;
+}
+
+// Toolbar with the selection count, total size and bulk actions (hidden when nothing is selected)
+function renderSelectionToolbar() {
+    const toolbar = document.getElementById('selectionToolbar');
+    const count = selectedFiles.size;
+    toolbar.hidden = count === 0;
+    if (count === 0) return;
+    
+    const unselectedInView = currentViewFiles.some(download => !selectedFiles.has(download.Name));
+    document.getElementById('selectionSummary').textContent =
+        `${count} file${count !== 1 ? 's' : ''} selected · ${formatFileSize(getSelectionTotalBytes())}`;
+    
+    const selectAllBtn = document.getElementById('selectAllBtn');
+    selectAllBtn.hidden = !unselectedInView;
+    selectAllBtn.textContent = `Select all ${currentViewFiles.length}`;
+    
+    document.getElementById('zipSelectionBtn').disabled = isOffline;
+    const downloadBtn = document.getElementById('bulkDownloadBtn');
+    downloadBtn.disabled = isOffline;
+    downloadBtn.textContent = bulkDownload
+        ? `Stop downloading (${bulkDownload.done} of ${bulkDownload.done + bulkDownload.queue.length})`
+        : 'Download';
+}
+
+// Copy the selected files' links, one per line
+function copySelectedLinks(button) {
+    const files = Array.from(selectedFiles.values());
+    BlobExplorerAnalytics.bulkCopyLinks(files.length);
+    copyToClipboard(files.map(download => download.Url).join('\n'), button, 'Copy links',
+        `${files.length} link${files.length !== 1 ? 's' : ''} copied to clipboard!`);
+}
+
+// Open the selected files one after another, or queue them in the download manager;
+// a second call stops the run
+function toggleBulkDownload() {
+    if (bulkDownload) {
+        clearTimeout(bulkDownload.timer);
+        bulkDownload = null;
+        renderSelectionToolbar();
+        return;
+    }
+    
+    const files = Array.from(selectedFiles.values());
+    BlobExplorerAnalytics.bulkDownload(files.length, getSelectionTotalBytes());
+    if (isDownloadManagerEnabled()) {
+        queueDownloads(files);
+        return;
+    }
+    bulkDownload = { queue: files, done: 0, timer: null };
+    
+    const next = () => {
+        const download = bulkDownload.queue.shift();
+        const fileName = download.Name.split('/').pop();
+        BlobExplorerAnalytics.download(fileName, download.Name, download.Length, getFileTypeInfo(download).name);
+        
+        // Pop-up blockers let the first window through but may stop the rest
+        if (!window.open(download.Url, '_blank')) {
+            showToast('Your browser blocked a download. Allow pop-ups for this site to download several files.');
+            bulkDownload = null;
+            renderSelectionToolbar();
+            return;
+        }
+        
+        bulkDownload.done++;
+        if (bulkDownload.queue.length > 0) {
+            bulkDownload.timer = setTimeout(next, BULK_DOWNLOAD_INTERVAL);
+        } else {
+            bulkDownload = null;
+        }
+        renderSelectionToolbar();
+    };
+    next();
+}
+
+// Quote a value for CSV
+function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Save text as a file
+function saveTextFile(text, fileName, type) {
+    saveBlobFile(new Blob([text], { type }), fileName);
+}
+
+// Save a Blob as a file through a temporary download link
+function saveBlobFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function initializeSelection() {
+    // Checkbox clicks (event delegation); shift extends from the last ticked file
+    document.getElementById('downloadList').addEventListener('click', (e) => {
+        const checkbox = e.target.closest('.select-checkbox');
+        if (checkbox) {
+            e.stopPropagation();
+            toggleFileSelection(checkbox.dataset.path, checkbox.checked, e.shiftKey);
+        }
+    });
+    
+    document.getElementById('selectAllBtn').addEventListener('click', selectAllInView);
+    document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+    document.getElementById('copyLinksBtn').addEventListener('click', (e) => copySelectedLinks(e.currentTarget));
+    document.getElementById('bulkDownloadBtn').addEventListener('click', toggleBulkDownload);
+    document.getElementById('exportSelectionBtn').addEventListener('click', (e) => {
+        e.stopPropagation(); // Keep the menu it opens from closing again
+        openExportMenu('selection');
+    });
+}
+
+// ============================================================================
+// ZIP Downloads
+// ============================================================================
+// A folder (from its row, its tile or the breadcrumbs) or the selection can be
+// saved as one ZIP archive built in the browser (see zip-stream.js). Each blob
+// is fetched and written straight into the archive, which goes to a file picked
+// with the File System Access API, to a download streamed through the service
+// worker (see sw.js), or - when neither is available - to a Blob built in memory.
+
+const ZIP_SIZE_WARNING_BYTES = 4 * 1024 ** 3; // Ask before building archives larger than this
+const ZIP_MEMORY_WARNING_BYTES = 500 * 1024 ** 2; // ... or this, when the archive is built in memory
+const ZIP_STREAM_TIMEOUT = 3000; // How long the service worker may take to accept a stream
+const ZIP_PROGRESS_INTERVAL = 200; // Minimum time between progress updates, in milliseconds
+
+// Archive being confirmed or written:
+// { files, rootPath, fileName, totalBytes, saveMode, doneBytes, fileIndex, controller, lastRender }
+// `controller` (an AbortController) is set once writing starts.
+let zipDownload = null;
+
+// Visible files under a folder, for its archive
+function getFolderFiles(folderPath) {
+    const prefix = `${folderPath}/`;
+    return allDownloads.filter(download => download.Name.startsWith(prefix) && isBlobVisible(download));
+}
+
+// Deepest folder holding all of the given blobs ('' for the root)
+function getCommonFolder(names) {
+    if (names.length === 0) return '';
+    let common = names[0].split('/').slice(0, -1);
+    names.forEach(name => {
+        const parts = name.split('/');
+        let length = 0;
+        while (length < common.length && length < parts.length - 1 && common[length] === parts[length]) {
+            length++;
+        }
+        common = common.slice(0, length);
+    });
+    return common.join('/');
+}
+
+// Path of a blob below `rootPath`, with the folders the folder tree shows for it (see buildIndexes
+// in data-worker.js). Empty, '.' and '..' names are dropped so nothing lands outside the root.
+function getRelativeBlobPath(name, rootPath) {
+    const relative = rootPath && name.startsWith(`${rootPath}/`) ? name.slice(rootPath.length + 1) : name;
+    return relative.split('/').filter(part => part && part !== '.' && part !== '..').join('/');
+}
+
+// "Download as ZIP" button for a folder row, tile or the breadcrumbs
+function renderZipFolderButton(folderPath) {
+    const folderName = folderPath.split('/').pop();
+    return `<button type="button" class="zip-button icon-button" data-folder="${escapeHtml(folderPath)}"
+                    aria-label="Download ${escapeHtml(folderName)} as ZIP" title="Download folder as ZIP"${isOffline ? ' disabled' : ''}><span aria-hidden="true">↓</span> ZIP</button>`;
+}
+
+// How the archive will be saved: 'file' (picked with the File System Access API),
+// 'stream' (a download served by the service worker) or 'memory' (a Blob)
+function getZipSaveMode() {
+    if (typeof window.showSaveFilePicker === 'function') return 'file';
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) return 'stream';
+    return 'memory';
+}
+
+// Offer files as a ZIP archive with paths relative to `rootPath`; large archives ask first
+function requestZipDownload(files, rootPath, fileName) {
+    if (zipDownload && zipDownload.controller) {
+        showToast('A ZIP download is already in progress');
+        return;
+    }
+    if (files.length === 0) {
+        showToast('There are no files to download');
+        return;
+    }
+    
+    const saveMode = getZipSaveMode();
+    const totalBytes = files.reduce((sum, download) => sum + download.Length, 0);
+    zipDownload = { files, rootPath, fileName, totalBytes, saveMode, doneBytes: 0, fileIndex: 0, controller: null, lastRender: 0 };
+    
+    if (totalBytes > (saveMode === 'memory' ? ZIP_MEMORY_WARNING_BYTES : ZIP_SIZE_WARNING_BYTES)) {
+        renderZipProgress();
+        document.getElementById('zipProgressContinue').focus();
+        return;
+    }
+    startZipDownload();
+}
+
+// Build and save the archive in `zipDownload`. Must start from a click: the file picker needs one.
+async function startZipDownload() {
+    const job = zipDownload;
+    job.controller = new AbortController();
+    renderZipProgress();
+    window.addEventListener('beforeunload', warnBeforeUnload);
+    
+    let sink = null;
+    try {
+        sink = await openZipSink(job);
+        if (!sink) {
+            finishZipDownload(); // Save dialog dismissed
+            return;
+        }
+        BlobExplorerAnalytics.zipDownload(job.fileName, job.files.length, job.totalBytes);
+        await writeZipArchive(job, sink);
+        await sink.close();
+        finishZipDownload(`Saved ${job.fileName}`);
+    } catch (error) {
+        if (sink) {
+            Promise.resolve().then(() => sink.abort()).catch(() => {});
+        }
+        if (job.controller.signal.aborted) {
+            finishZipDownload('ZIP download cancelled');
+        } else {
+            console.error('ZIP download failed:', error);
+            finishZipDownload(`ZIP download failed: ${error.message}`);
+        }
+    }
+}
+
+// Where the archive's bytes go: { write(chunk), close(), abort() }, or null when the save dialog is dismissed
+async function openZipSink(job) {
+    if (job.saveMode === 'file') {
+        let handle;
+        try {
+            handle = await window.showSaveFilePicker({
+                suggestedName: job.fileName,
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+        const writable = await handle.createWritable();
+        job.fileName = handle.name;
+        return {
+            write: chunk => writable.write(chunk),
+            close: () => writable.close(),
+            abort: () => writable.abort()
+        };
+    }
+    
+    if (job.saveMode === 'stream') {
+        try {
+            return await openStreamZipSink(job.fileName, job.controller);
+        } catch (error) {
+            // Typically an older service worker still controls the page
+            console.warn('Streaming through the service worker is unavailable, building the archive in memory:', error.message);
+            job.saveMode = 'memory';
+        }
+    }
+    
+    const chunks = [];
+    return {
+        write: (chunk) => { chunks.push(chunk); },
+        close: () => saveBlobFile(new Blob(chunks, { type: 'application/zip' }), job.fileName),
+        abort: () => { chunks.length = 0; }
+    };
+}
+
+// Stream the archive into a download served by the service worker. The worker asks
+// for each chunk ('pull') as the browser takes them, which keeps memory use flat.
+async function openStreamZipSink(fileName, controller) {
+    const serviceWorker = navigator.serviceWorker.controller;
+    const url = new URL(`zip-download/${Date.now()}/${encodeURIComponent(fileName)}`, serviceWorker.scriptURL).href;
+    const channel = new MessageChannel();
+    const port = channel.port1;
+    let requested = 0; // Chunks asked for but not yet sent
+    let wake = null; // Resolves a write waiting for a request
+    
+    const notify = () => {
+        if (wake) {
+            wake();
+            wake = null;
+        }
+    };
+    const ready = new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('No reply from the service worker')), ZIP_STREAM_TIMEOUT);
+        port.onmessage = ({ data }) => {
+            if (data.type === 'ready') {
+                resolve();
+            } else if (data.type === 'pull') {
+                requested++;
+            } else if (data.type === 'cancel') {
+                controller.abort(); // Cancelled from the browser's downloads
+            }
+            notify();
+        };
+    });
+    controller.signal.addEventListener('abort', notify);
+    serviceWorker.postMessage({ type: 'zip-stream', url, fileName }, [channel.port2]);
+    await ready;
+    
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+    frame.src = url;
+    document.body.appendChild(frame);
+    const removeFrame = () => setTimeout(() => frame.remove(), 1000);
+    
+    return {
+        async write(chunk) {
+            while (requested === 0) {
+                if (controller.signal.aborted) {
+                    throw new DOMException('Download cancelled', 'AbortError');
+                }
+                await new Promise(resolve => { wake = resolve; });
+            }
+            requested--;
+            port.postMessage({ type: 'chunk', chunk });
+        },
+        close() {
+            port.postMessage({ type: 'close' });
+            removeFrame();
+        },
+        abort() {
+            port.postMessage({ type: 'abort' });
+            removeFrame();
+        }
+    };
+}
+
+// Fetch each file into the archive, in order
+async function writeZipArchive(job, sink) {
+    const { signal } = job.controller;
+    const zip = new ZipStreamWriter(chunk => sink.write(chunk));
+    
+    for (const [index, download] of job.files.entries()) {
+        job.fileIndex = index;
+        renderZipProgress();
+        
+        const response = await fetchBlobContent(download.Url, { signal });
+        if (!response.ok) {
+            throw new Error(`${download.Name}: ${response.status} ${response.statusText}`);
+        }
+        
+        await zip.startEntry(getRelativeBlobPath(download.Name, job.rootPath), {
+            lastModified: new Date(download.LastModified),
+            size: download.Length
+        });
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const length = value.length;
+            await zip.writeEntryData(value);
+            job.doneBytes += length;
+            if (Date.now() - job.lastRender >= ZIP_PROGRESS_INTERVAL) {
+                renderZipProgress();
+            }
+        }
+        await zip.endEntry();
+    }
+    await zip.finish();
+}
+
+function cancelZipDownload() {
+    if (zipDownload && zipDownload.controller) {
+        zipDownload.controller.abort();
+    } else {
+        finishZipDownload();
+    }
+}
+
+function finishZipDownload(message) {
+    zipDownload = null;
+    window.removeEventListener('beforeunload', warnBeforeUnload);
+    renderZipProgress();
+    if (message) {
+        showToast(message);
+    }
+}
+
+// Leaving the page would cut the archive short
+function warnBeforeUnload(e) {
+    e.preventDefault();
+    e.returnValue = '';
+}
+
+// Progress panel: asks to continue with a large archive, then follows the download
+function renderZipProgress() {
+    const panel = document.getElementById('zipProgress');
+    const job = zipDownload;
+    panel.hidden = !job;
+    if (!job) return;
+    
+    job.lastRender = Date.now();
+    const confirming = !job.controller;
+    const fileCount = `${job.files.length} file${job.files.length !== 1 ? 's' : ''}`;
+    const text = document.getElementById('zipProgressText');
+    const track = document.getElementById('zipProgressTrack');
+    
+    document.getElementById('zipProgressTitle').textContent = job.fileName;
+    document.getElementById('zipProgressContinue').hidden = !confirming;
+    track.hidden = confirming;
+    
+    if (confirming) {
+        text.textContent = `This archive will be ${formatFileSize(job.totalBytes)} (${fileCount}). ` +
+            (job.saveMode === 'memory'
+                ? "Your browser can't save it as it downloads, so the whole archive is built in memory first."
+                : 'Downloading it may take a while.');
+        return;
+    }
+    
+    const percent = job.totalBytes > 0 ? Math.floor(job.doneBytes / job.totalBytes * 100) : 0;
+    track.setAttribute('aria-valuenow', percent);
+    track.querySelector('.load-progress-bar').style.width = `${percent}%`;
+    text.textContent = `${formatFileSize(job.doneBytes)} of ${formatFileSize(job.totalBytes)} · ` +
+        `file ${job.fileIndex + 1} of ${job.files.length}: ${job.files[job.fileIndex].Name.split('/').pop()}`;
+}
+
+function initializeZipDownloads() {
+    // Folder buttons sit inside rows that open the folder on click or Enter, so they are handled while capturing
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.zip-button');
+        if (button) {
+            e.stopPropagation();
+            const folderPath = button.dataset.folder;
+            requestZipDownload(getFolderFiles(folderPath), folderPath, `${folderPath.split('/').pop()}.zip`);
+        }
+    }, true);
+    document.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.closest && e.target.closest('.zip-button')) {
+            e.stopPropagation();
+        }
+    }, true);
+    
+    document.getElementById('zipSelectionBtn').addEventListener('click', () => {
+        const files = Array.from(selectedFiles.values());
+        const rootPath = getCommonFolder(files.map(download => download.Name));
+        requestZipDownload(files, rootPath, `${rootPath ? rootPath.split('/').pop() : 'selection'}.zip`);
+    });
+    document.getElementById('zipProgressContinue').addEventListener('click', startZipDownload);
+    document.getElementById('zipProgressCancel').addEventListener('click', cancelZipDownload);
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+// The Export menu saves a listing of the current folder (optionally with its
+// subfolders), the search results or the selection: CSV and JSON manifests, a
+// Metalink 4 file for download managers, or a script that downloads every file
+// into the folder layout below the exported folder (the same relative paths as
+// ZIP archives, see getRelativeBlobPath).
+
+const EXPORT_FORMATS = [
+    { id: 'csv', label: 'CSV manifest', suffix: '.csv', type: 'text/csv' },
+    { id: 'json', label: 'JSON manifest', suffix: '.json', type: 'application/json' },
+    { id: 'metalink', label: 'Metalink (.meta4)', suffix: '.meta4', type: 'application/metalink4+xml' },
+    { id: 'curl', label: 'curl script (bash)', suffix: '-curl.sh', type: 'text/x-shellscript' },
+    { id: 'wget', label: 'wget script (bash)', suffix: '-wget.sh', type: 'text/x-shellscript' },
+    { id: 'powershell', label: 'PowerShell script', suffix: '.ps1', type: 'text/plain' },
+    { id: 'azcopy', label: 'AzCopy script (bash)', suffix: '-azcopy.sh', type: 'text/x-shellscript' }
+];
+
+// Download command for one file in each script format (arguments already quoted)
+const EXPORT_SCRIPT_COMMANDS = {
+    curl: (url, path) => `curl -fL --retry 3 -o ${path} ${url}`,
+    wget: (url, path) => `wget --tries=3 -O ${path} ${url}`,
+    powershell: (url, path) => `Invoke-WebRequest -Uri ${url} -OutFile ${path}`,
+    azcopy: (url, path) => `azcopy copy ${url} ${path}`
+};
+
+let exportScope = 'view'; // 'view' (this folder or the search results) or 'selection'
+let exportRecursive = false; // Include the current folder's subfolders
+
+// Files the menu would export: { files, rootPath, baseName, scope }
+function getExportFiles() {
+    if (exportScope === 'selection' && selectedFiles.size > 0) {
+        const files = Array.from(selectedFiles.values());
+        return { files, rootPath: getCommonFolder(files.map(download => download.Name)), baseName: 'selection', scope: 'selection' };
+    }
+    
+    if (document.getElementById('searchInput').value.trim()) {
+        const rootPath = getSearchScopePath() || getCommonFolder(currentViewFiles.map(download => download.Name));
+        return { files: currentViewFiles, rootPath, baseName: 'search-results', scope: 'search' };
+    }
+    
+    const folderPath = currentPath.join('/');
+    const baseName = currentPath.length > 0 ? currentPath[currentPath.length - 1] : 'root';
+    if (!exportRecursive) {
+        return { files: currentViewFiles, rootPath: folderPath, baseName, scope: 'folder' };
+    }
+    
+    // The whole subtree, with the filters of the current view
+    const files = sortFiles(filterDownloads(allDownloads, {
+        fileTypes: activeFileTypes,
+        excludeHidden: true,
+        scopePath: folderPath,
+        dateRange: activeDateRange,
+        sizeRange: activeSizeRange,
+        folders: activeFacetFolders
+    }));
+    return { files, rootPath: folderPath, baseName, scope: 'folder-recursive' };
+}
+
+function renderExportMenu() {
+    const menu = document.getElementById('exportMenu');
+    const searching = document.getElementById('searchInput').value.trim() !== '';
+    if (selectedFiles.size === 0) {
+        exportScope = 'view';
+    }
+    
+    const { files } = getExportFiles();
+    const totalBytes = files.reduce((sum, download) => sum + download.Length, 0);
+    const viewLabel = searching ? `Search results (${currentViewFiles.length})` : 'This folder';
+    
+    menu.innerHTML = `
+        <fieldset class="export-scope">
+            <legend>Files</legend>
+            <label><input type="radio" name="exportScope" value="view"${exportScope === 'view' ? ' checked' : ''}> ${viewLabel}</label>
+            ${searching ? '' : `<label class="export-recursive"><input type="checkbox" id="exportRecursive"${exportRecursive ? ' checked' : ''}${exportScope === 'view' ? '' : ' disabled'}> Include subfolders</label>`}
+            ${selectedFiles.size > 0 ? `<label><input type="radio" name="exportScope" value="selection"${exportScope === 'selection' ? ' checked' : ''}> Selected files (${selectedFiles.size})</label>` : ''}
+        </fieldset>
+        <div class="export-summary">${files.length} file${files.length !== 1 ? 's' : ''} · ${formatFileSize(totalBytes)}</div>
+        <div class="export-formats" role="group" aria-label="Format">
+            ${EXPORT_FORMATS.map(format => `<button type="button" class="export-format" data-format="${format.id}"${files.length === 0 ? ' disabled' : ''}>${format.label}</button>`).join('')}
+        </div>
+    `;
+}
+
+// Open the Export menu with a scope picked (from the selection toolbar)
+function openExportMenu(scope) {
+    exportScope = scope;
+    const menu = document.getElementById('exportMenu');
+    if (menu.classList.contains('show')) {
+        renderExportMenu();
+    } else {
+        document.getElementById('exportBtn').click();
+    }
+    const firstFormat = menu.querySelector('.export-format');
+    if (firstFormat) firstFormat.focus();
+}
+
+function closeExportMenu() {
+    document.getElementById('exportMenu').classList.remove('show');
+    const button = document.getElementById('exportBtn');
+    button.setAttribute('aria-expanded', 'false');
+    button.focus();
+}
+
+// Save the listing in one of EXPORT_FORMATS
+function exportListing(formatId) {
+    const format = EXPORT_FORMATS.find(candidate => candidate.id === formatId);
+    const { files, rootPath, baseName, scope } = getExportFiles();
+    let text;
+    if (formatId === 'csv') {
+        text = buildCsvManifest(files);
+    } else if (formatId === 'json') {
+        text = buildJsonManifest(files, rootPath);
+    } else if (formatId === 'metalink') {
+        text = buildMetalink(files, rootPath);
+    } else {
+        text = buildDownloadScript(files, rootPath, formatId);
+    }
+    saveTextFile(text, `${baseName}${format.suffix}`, format.type);
+    BlobExplorerAnalytics.bulkExport(formatId, files.length, scope);
+}
+
+function buildCsvManifest(files) {
+    const rows = [['Name', 'Url', 'Length', 'LastModified', 'ContentType'],
+        ...files.map(download => [download.Name, download.Url, download.Length, download.LastModified, download.ContentType || ''])];
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildJsonManifest(files, rootPath) {
+    return JSON.stringify({
+        generated: new Date().toISOString(),
+        root: rootPath,
+        files: files.map(({ Name, Url, Length, LastModified, ContentType }) => ({ Name, Url, Length, LastModified, ContentType: ContentType || '' }))
+    }, null, 2) + '\n';
+}
+
+// Metalink 4 (RFC 5854); file names are relative to the exported folder
+function buildMetalink(files, rootPath) {
+    const entries = files.map(download => [
+        `  <file name="${escapeHtml(getRelativeBlobPath(download.Name, rootPath))}">`,
+        `    <size>${download.Length}</size>`,
+        `    <url>${escapeHtml(download.Url)}</url>`,
+        '  </file>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<metalink xmlns="urn:ietf:params:xml:ns:metalink">',
+        '  <generator>Blob Explorer</generator>',
+        `  <published>${new Date().toISOString()}</published>`,
+        ...entries,
+        '</metalink>',
+        ''
+    ].join('\n');
+}
+
+// Quote a string for bash (single quotes, with embedded quotes spliced in)
+function quoteShellArgument(text) {
+    return `'${String(text).replace(/'/g, "'\\''")}'`;
+}
+
+// Quote a string for PowerShell (single quotes, doubled inside; PowerShell also
+// ends single-quoted strings at the curly and low-9 single quotes)
+function quotePowerShellArgument(text) {
+    return `'${String(text).replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`;
+}
+
+// Script that downloads every file to its path below the folder it runs in
+function buildDownloadScript(files, rootPath, formatId) {
+    const powershell = formatId === 'powershell';
+    const quote = powershell ? quotePowerShellArgument : quoteShellArgument;
+    const totalBytes = files.reduce((sum, download) => sum + download.Length, 0);
+    // Blob names end up in comments, where a line break would start a command
+    const source = (rootPath || 'the container root').replace(/[\r\n]+/g, ' ');
+    
+    const lines = [
+        ...(powershell ? [] : ['#!/usr/bin/env bash']),
+        `# Downloads ${files.length} file${files.length !== 1 ? 's' : ''} (${formatFileSize(totalBytes)}) from ${source}`,
+        `# into the current folder, recreating their folders. Exported from Blob Explorer on ${new Date().toISOString().slice(0, 10)}.`,
+        ...(formatId === 'azcopy' ? ['# AzCopy needs the files\' Azure Storage URLs (add a SAS token to each if the container is private).'] : []),
+        ...(powershell
+            ? ["$ErrorActionPreference = 'Stop'", "$ProgressPreference = 'SilentlyContinue' # Invoke-WebRequest is much faster without its progress bar"]
+            : ['set -euo pipefail']),
+        ''
+    ];
+    
+    const createdFolders = new Set();
+    files.forEach(download => {
+        const path = getRelativeBlobPath(download.Name, rootPath);
+        const folder = path.split('/').slice(0, -1).join('/');
+        if (folder && !createdFolders.has(folder)) {
+            createdFolders.add(folder);
+            // New-Item has no -LiteralPath, but it doesn't expand wildcards in -Path either
+            lines.push(powershell
+                ? `New-Item -ItemType Directory -Force -Path ${quote(`./${folder}`)} | Out-Null`
+                : `mkdir -p ${quote(`./${folder}`)}`);
+        }
+        // The ./ prefix keeps names starting with '-' from reading as options
+        lines.push(EXPORT_SCRIPT_COMMANDS[formatId](quote(download.Url), quote(`./${path}`)));
+    });
+    
+    // Windows PowerShell 5 reads scripts without a byte order mark as ANSI
+    return (powershell ? '\uFEFF' : '') + lines.join('\n') + '\n';
+}
+
+function initializeExport() {
+    const menu = document.getElementById('exportMenu');
+    
+    menu.addEventListener('change', (e) => {
+        if (e.target.name === 'exportScope') {
+            exportScope = e.target.value;
+        } else if (e.target.id === 'exportRecursive') {
+            exportRecursive = e.target.checked;
+        } else {
+            return;
+        }
+        const focusSelector = e.target.id ? `#${e.target.id}` : `input[value="${e.target.value}"]`;
+        renderExportMenu();
+        menu.querySelector(focusSelector).focus();
+    });
+    
+    menu.addEventListener('click', (e) => {
+        const button = e.target.closest('.export-format');
+        if (button) {
+            exportListing(button.dataset.format);
+            closeExportMenu();
+        }
+    });
+    
+    menu.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeExportMenu();
+        }
+    });
+}
+
+// ============================================================================
+// Download Manager
+// ============================================================================
+// Optional (Settings > Downloads): the Download buttons queue files here instead
+// of handing their URLs to a new tab. Files are fetched one at a time with Range
+// requests of TRANSFER_CHUNK_SIZE, so a dropped connection only costs the chunk
+// in flight: failed chunks are retried after a growing delay, and downloads can
+// be paused and resumed, also after a reload. Chunks are written straight to a
+// file picked with the File System Access API, or kept in IndexedDB and saved
+// through a Blob URL once the download completes.
+//
+// A picked file only keeps what was written until it was last closed (browsers
+// commit the writes then), which happens on pause, failure and completion; after
+// a reload the download continues from what the file holds.
+
+const DOWNLOAD_MANAGER_KEY = 'downloadManager';
+const TRANSFER_CHUNK_SIZE = 8 * 1024 * 1024;
+const TRANSFER_RETRY_DELAYS = [1000, 3000, 10000, 30000, 60000]; // Wait before each retry of a failed chunk
+const TRANSFER_SPEED_WINDOW = 5000; // Speed is averaged over this many milliseconds
+const TRANSFER_PROGRESS_INTERVAL = 250; // Minimum time between progress updates, in milliseconds
+
+// Downloads in the panel, oldest first:
+// { id, name, url, fileName, size, typeName, saveMode, handle, received, validator, status, error, permanent, createdAt }
+// `saveMode` is 'file' (written to `handle`) or 'memory' (chunks in IndexedDB); `status` is
+// 'queued', 'downloading', 'paused', 'error' or 'done'; `validator` holds the ETag and
+// Last-Modified of the first response, which later chunks must match. `permanent` marks a
+// failure that coming back online won't fix (a missing blob, a refused permission).
+let transfers = [];
+
+// Download being fetched: { transfer, controller, chunkBytes, samples, lastRender, cancelled }
+// `chunkBytes` counts the bytes of the chunk in flight, `samples` the recent progress for the speed.
+let activeTransfer = null;
+
+let downloadManagerCollapsed = false;
+
+function isDownloadManagerEnabled() {
+    return localStorage.getItem(DOWNLOAD_MANAGER_KEY) === 'true';
+}
+
+// Run `work(transferStore, chunkStore)` in one read-write transaction
+async function updateTransferStores(work) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRANSFERS_STORE_NAME, TRANSFER_CHUNKS_STORE_NAME], 'readwrite');
+        work(transaction.objectStore(TRANSFERS_STORE_NAME), transaction.objectStore(TRANSFER_CHUNKS_STORE_NAME));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Keys of a download's chunks
+function getTransferChunkRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+// Persist a download's state; downloads removed from the panel are not written back
+function saveTransfer(transfer) {
+    if (!transfers.includes(transfer)) return Promise.resolve();
+    return updateTransferStores(store => store.put(transfer));
+}
+
+// Store a chunk together with the progress it adds, so the two always agree
+async function putTransferChunk(transfer, offset, blob) {
+    if (!transfers.includes(transfer)) return;
+    await updateTransferStores((store, chunks) => {
+        chunks.put(blob, [transfer.id, offset]);
+        store.put({ ...transfer, received: offset + blob.size });
+    });
+    transfer.received = offset + blob.size;
+}
+
+async function getTransferChunks(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction([TRANSFER_CHUNKS_STORE_NAME], 'readonly')
+            .objectStore(TRANSFER_CHUNKS_STORE_NAME).getAll(getTransferChunkRange(id));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadTransfers() {
+    try {
+        const db = await initDB();
+        const stored = await new Promise((resolve, reject) => {
+            const request = db.transaction([TRANSFERS_STORE_NAME], 'readonly')
+                .objectStore(TRANSFERS_STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return stored.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+        console.error('IndexedDB error:', error);
+        return [];
+    }
+}
+
+// "45 s", "12 min", "2 h 5 min"
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Queue blobs for download. Must run from a click: choosing where to save needs one.
+async function queueDownloads(files) {
+    let handles;
+    try {
+        handles = await pickTransferFiles(files);
+    } catch (error) {
+        console.error('Choosing where to save failed:', error);
+        showToast(`Couldn't save there: ${error.message}`);
+        return;
+    }
+    if (!handles) return; // Picker dismissed
+    
+    const now = Date.now();
+    const added = files.map((download, i) => ({
+        id: `${now}-${i}-${Math.random().toString(36).slice(2, 8)}`,
+        name: download.Name,
+        url: download.Url,
+        fileName: handles[i] ? handles[i].name : download.Name.split('/').pop(),
+        size: download.Length,
+        typeName: getFileTypeInfo(download).name,
+        saveMode: handles[i] ? 'file' : 'memory',
+        handle: handles[i],
+        received: 0,
+        validator: null,
+        status: 'queued',
+        error: '',
+        createdAt: now
+    }));
+    
+    try {
+        await updateTransferStores(store => added.forEach(transfer => store.put(transfer)));
+    } catch (error) {
+        console.error('Queueing downloads failed:', error);
+        showToast(`Couldn't queue the download: ${error.message}`);
+        return;
+    }
+    
+    transfers.push(...added);
+    downloadManagerCollapsed = false;
+    renderDownloadManager();
+    showToast(added.length === 1 ? `Added ${added[0].fileName} to downloads` : `Added ${added.length} files to downloads`);
+    processTransferQueue();
+}
+
+// Where each file is saved: a File System Access handle (a file picker for one file, a folder
+// picker for several) or null to keep its chunks in IndexedDB. Null when a picker is dismissed.
+async function pickTransferFiles(files) {
+    try {
+        if (files.length === 1 && typeof window.showSaveFilePicker === 'function') {
+            return [await window.showSaveFilePicker({ suggestedName: files[0].Name.split('/').pop() })];
+        }
+        if (files.length > 1 && typeof window.showDirectoryPicker === 'function') {
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            const rootPath = getCommonFolder(files.map(download => download.Name));
+            const handles = [];
+            for (const download of files) {
+                const relativePath = getRelativeBlobPath(download.Name, rootPath) || download.Name.split('/').pop();
+                handles.push(await getNestedFileHandle(directory, relativePath));
+            }
+            return handles;
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return null;
+        throw error;
+    }
+    return files.map(() => null);
+}
+
+// Handle of the file at `relativePath` in a picked folder, creating the folders on the way
+async function getNestedFileHandle(directory, relativePath) {
+    const parts = relativePath.split('/');
+    for (const part of parts.slice(0, -1)) {
+        directory = await directory.getDirectoryHandle(part, { create: true });
+    }
+    return directory.getFileHandle(parts[parts.length - 1], { create: true });
+}
+
+// Start the next queued download unless one is running
+function processTransferQueue() {
+    if (activeTransfer || isOffline) return;
+    const next = transfers.find(transfer => transfer.status === 'queued');
+    if (next) {
+        runTransfer(next);
+    }
+}
+
+async function runTransfer(transfer) {
+    const job = { transfer, controller: new AbortController(), chunkBytes: 0, samples: [], lastRender: 0, cancelled: false };
+    activeTransfer = job;
+    transfer.status = 'downloading';
+    transfer.error = '';
+    transfer.permanent = false;
+    renderDownloadManager();
+    
+    let writable = null;
+    try {
+        if (transfer.saveMode === 'file') {
+            writable = await openTransferWritable(transfer);
+        }
+        await saveTransfer(transfer);
+        
+        while (transfer.received < transfer.size) {
+            const offset = transfer.received;
+            const { blob, validator, changed, total } = await fetchTransferChunk(job);
+            job.chunkBytes = 0;
+            if (job.controller.signal.aborted) break;
+            
+            if (changed) {
+                // The blob was replaced since the download started; start over at its new size
+                if (total === null) {
+                    const error = new Error('The file changed on the server, remove it and download it again');
+                    error.permanent = true;
+                    throw error;
+                }
+                transfer.size = total;
+                transfer.received = 0;
+                transfer.validator = null; // Taken from the first chunk of the new file
+                job.samples = [];
+                if (writable) await writable.truncate(0);
+                await updateTransferStores((store, chunks) => {
+                    chunks.delete(getTransferChunkRange(transfer.id));
+                    store.put(transfer);
+                });
+                continue;
+            }
+            transfer.validator = validator;
+            
+            if (writable) {
+                await writable.write({ type: 'write', position: offset, data: blob });
+                transfer.received = offset + blob.size;
+                await saveTransfer(transfer);
+            } else {
+                await putTransferChunk(transfer, offset, blob);
+            }
+            renderTransferProgress(job);
+        }
+        if (job.controller.signal.aborted) return;
+        
+        if (writable) {
+            await writable.close();
+            writable = null;
+        } else {
+            await saveTransferBlob(transfer);
+        }
+        transfer.status = 'done';
+        await saveTransfer(transfer);
+        BlobExplorerAnalytics.download(transfer.fileName, transfer.name, transfer.size, transfer.typeName);
+        showToast(`Downloaded ${transfer.fileName}`);
+    } catch (error) {
+        if (!job.controller.signal.aborted) {
+            console.error('Download failed:', error);
+            transfer.status = 'error';
+            transfer.error = error.name === 'QuotaExceededError' ? 'Not enough storage space in the browser' : error.message;
+            // Failures a reconnect can't fix wait for Retry
+            transfer.permanent = Boolean(error.permanent) || ['QuotaExceededError', 'NotAllowedError', 'SecurityError'].includes(error.name);
+            saveTransfer(transfer).catch(() => {});
+        }
+    } finally {
+        if (writable) {
+            // Closing commits what was written, so a paused download continues from there
+            await (job.cancelled ? writable.abort() : writable.close()).catch(() => {});
+        }
+        activeTransfer = null;
+        renderDownloadManager();
+        processTransferQueue();
+    }
+}
+
+// Reopen a download's file for writing, continuing after what it holds
+async function openTransferWritable(transfer) {
+    const { handle } = transfer;
+    if (await handle.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+        const error = new Error(`Allow saving to ${transfer.fileName} with Retry`);
+        error.permanent = true; // Only a click can grant it again
+        throw error;
+    }
+    const saved = (await handle.getFile()).size;
+    transfer.received = Math.min(transfer.received, saved);
+    const writable = await handle.createWritable({ keepExistingData: transfer.received > 0 });
+    await writable.truncate(transfer.received);
+    return writable;
+}
+
+// Fetch the next chunk of the active download, retrying failures after a growing delay
+async function fetchTransferChunk(job) {
+    const { transfer, controller } = job;
+    const start = transfer.received;
+    const end = Math.min(start + TRANSFER_CHUNK_SIZE, transfer.size) - 1;
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchTransferRange(job, start, end);
+        } catch (error) {
+            job.chunkBytes = 0;
+            if (controller.signal.aborted || error.permanent || attempt >= TRANSFER_RETRY_DELAYS.length) {
+                throw error;
+            }
+            const delay = TRANSFER_RETRY_DELAYS[attempt];
+            transfer.error = `${error.message}, retrying in ${formatDuration(delay / 1000)}`;
+            renderTransferProgress(job);
+            await waitForTransferRetry(delay, controller.signal);
+            transfer.error = '';
+        }
+    }
+}
+
+function waitForTransferRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delay);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Download paused', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// Fetch bytes `start` to `end` (inclusive) of the active download as a Blob, with the
+// response's validator, or `{ changed, total }` when the blob was replaced (`total` is null
+// when its new size can't be read). Errors that retrying can't fix are marked `permanent`.
+async function fetchTransferRange(job, start, end) {
+    const { transfer, controller } = job;
+    const response = await fetchBlobContent(transfer.url, {
+        headers: { Range: `bytes=${start}-${end}` },
+        cache: 'no-store',
+        signal: controller.signal
+    });
+    
+    // Cross-origin responses may hide the ETag; Last-Modified is always readable
+    const validator = { etag: response.headers.get('ETag') || '', lastModified: response.headers.get('Last-Modified') || '' };
+    
+    // The blob was replaced since the download started (a range past its end means it shrank):
+    // report its new size, read from Content-Range where the host exposes it, instead of the data
+    if (response.status === 416 || (transfer.validator && !isSameTransferValidator(transfer.validator, validator))) {
+        response.body.cancel().catch(() => {});
+        const range = (response.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+        return { changed: true, validator, total: range ? Number(range[1]) : null };
+    }
+    
+    // A server may answer a range covering the whole file with the whole file
+    const wholeFile = response.status === 200 && start === 0 && end === transfer.size - 1;
+    if (response.status !== 206 && !wholeFile) {
+        const status = response.status;
+        const error = new Error(status === 200 ? "The server doesn't support resuming downloads"
+            : status === 404 ? 'The file is no longer available' : `HTTP ${status}`);
+        error.permanent = status < 500 && status !== 408 && status !== 429;
+        throw error;
+    }
+    
+    const reader = response.body.getReader();
+    const parts = [];
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        job.chunkBytes += value.length;
+        if (Date.now() - job.lastRender >= TRANSFER_PROGRESS_INTERVAL) {
+            renderTransferProgress(job);
+        }
+    }
+    
+    const blob = new Blob(parts);
+    if (blob.size !== end - start + 1) {
+        throw new Error('The connection closed early');
+    }
+    return { blob, validator };
+}
+
+function isSameTransferValidator(a, b) {
+    if (a.etag && b.etag) return a.etag === b.etag;
+    if (a.lastModified && b.lastModified) return a.lastModified === b.lastModified;
+    return true;
+}
+
+// Save a download kept in IndexedDB (the stored chunks stay on disk, not in memory)
+async function saveTransferBlob(transfer) {
+    const chunks = await getTransferChunks(transfer.id);
+    saveBlobFile(new Blob(chunks), transfer.fileName);
+}
+
+function pauseTransfer(transfer) {
+    transfer.status = 'paused';
+    transfer.error = '';
+    if (activeTransfer && activeTransfer.transfer === transfer) {
+        activeTransfer.controller.abort();
+    }
+    saveTransfer(transfer).catch(error => console.error('Saving download state failed:', error));
+    renderDownloadManager();
+}
+
+// Queue a paused or failed download again. Must run from a click: a file picked
+// before a reload needs its permission renewed.
+async function resumeTransfers(list) {
+    for (const transfer of list) {
+        if (transfer.handle && await transfer.handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+            showToast(`Saving to ${transfer.fileName} was not allowed`);
+            continue;
+        }
+        transfer.status = 'queued';
+        transfer.error = '';
+        saveTransfer(transfer).catch(error => console.error('Saving download state failed:', error));
+    }
+    renderDownloadManager();
+    processTransferQueue();
+}
+
+// Drop downloads from the panel, cancelling the running one; a picked file keeps what was saved
+function removeTransfers(list) {
+    list.forEach(transfer => {
+        if (activeTransfer && activeTransfer.transfer === transfer) {
+            activeTransfer.cancelled = true;
+            activeTransfer.controller.abort();
+        }
+    });
+    transfers = transfers.filter(transfer => !list.includes(transfer));
+    updateTransferStores((store, chunks) => {
+        list.forEach(transfer => {
+            store.delete(transfer.id);
+            chunks.delete(getTransferChunkRange(transfer.id));
+        });
+    }).catch(error => console.error('Removing downloads failed:', error));
+    renderDownloadManager();
+}
+
+// Average speed over the last TRANSFER_SPEED_WINDOW, in bytes per second
+function getTransferSpeed(job) {
+    const now = Date.now();
+    const bytes = job.transfer.received + job.chunkBytes;
+    job.samples.push({ time: now, bytes });
+    while (job.samples.length > 2 && now - job.samples[0].time > TRANSFER_SPEED_WINDOW) {
+        job.samples.shift();
+    }
+    const first = job.samples[0];
+    return now > first.time ? (bytes - first.bytes) / ((now - first.time) / 1000) : 0;
+}
+
+// Status line of a download that is not being fetched
+function describeTransfer(transfer) {
+    const progress = `${formatFileSize(transfer.received)} of ${formatFileSize(transfer.size)}`;
+    switch (transfer.status) {
+        case 'queued': return `Waiting · ${progress}`;
+        case 'paused': return `Paused · ${progress}`;
+        case 'error': return `Failed at ${progress}: ${transfer.error}`;
+        case 'done': return `Done · ${formatFileSize(transfer.size)}`;
+        default: return progress;
+    }
+}
+
+function renderTransferItem(transfer) {
+    const percent = transfer.size > 0 ? Math.floor(transfer.received / transfer.size * 100) : (transfer.status === 'done' ? 100 : 0);
+    const actions = {
+        queued: [['pause', 'Pause']],
+        downloading: [['pause', 'Pause']],
+        paused: [['resume', 'Resume']],
+        error: [['resume', 'Retry']],
+        done: transfer.saveMode === 'memory' ? [['save', 'Save again']] : []
+    }[transfer.status];
+    actions.push(['remove', transfer.status === 'done' ? 'Remove' : 'Cancel']);
+    const fileName = escapeHtml(transfer.fileName);
+    
+    return `
+        <li class="transfer-item transfer-${transfer.status}" data-id="${escapeHtml(transfer.id)}">
+            <div class="transfer-name" title="${escapeHtml(transfer.name)}">${fileName}</div>
+            <div class="load-progress-track" role="progressbar" aria-label="Progress of ${fileName}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}"><div class="load-progress-bar" style="width: ${percent}%"></div></div>
+            <div class="transfer-status">${escapeHtml(describeTransfer(transfer))}</div>
+            <div class="transfer-actions">
+                ${actions.map(([action, label]) => `<button type="button" data-action="${action}" aria-label="${label} ${fileName}">${label}</button>`).join('')}
+            </div>
+        </li>`;
+}
+
+// Queue panel: shown while it lists any downloads
+function renderDownloadManager() {
+    const panel = document.getElementById('downloadManager');
+    panel.hidden = transfers.length === 0;
+    if (panel.hidden) return;
+    
+    const remaining = transfers.filter(transfer => transfer.status !== 'done').length;
+    document.getElementById('downloadManagerTitle').textContent = remaining > 0 ? `Downloads (${remaining} left)` : 'Downloads';
+    document.getElementById('downloadManagerResume').hidden = !transfers.some(transfer => transfer.status === 'paused' || transfer.status === 'error');
+    document.getElementById('downloadManagerClear').hidden = !transfers.some(transfer => transfer.status === 'done');
+    
+    const toggle = document.getElementById('downloadManagerToggle');
+    const list = document.getElementById('downloadManagerList');
+    toggle.setAttribute('aria-expanded', String(!downloadManagerCollapsed));
+    toggle.setAttribute('aria-label', downloadManagerCollapsed ? 'Show downloads' : 'Hide downloads');
+    list.hidden = downloadManagerCollapsed;
+    
+    // Keep focus on the same button of the same download across the re-render
+    const focused = list.contains(document.activeElement) && document.activeElement.closest('.transfer-item');
+    const focusedAction = focused && document.activeElement.dataset.action;
+    list.innerHTML = transfers.map(renderTransferItem).join('');
+    if (focused) {
+        const item = list.querySelector(`.transfer-item[data-id="${focused.dataset.id}"]`);
+        const button = item && (item.querySelector(`[data-action="${focusedAction}"]`) || item.querySelector('button'));
+        if (button) button.focus();
+    }
+    
+    if (activeTransfer) {
+        renderTransferProgress(activeTransfer);
+    }
+}
+
+// Update the running download's bar and status line with its speed and time left
+function renderTransferProgress(job) {
+    job.lastRender = Date.now();
+    const { transfer } = job;
+    const item = document.querySelector(`#downloadManagerList .transfer-item[data-id="${transfer.id}"]`);
+    if (!item) return;
+    
+    const received = transfer.received + job.chunkBytes;
+    const percent = transfer.size > 0 ? Math.floor(received / transfer.size * 100) : 0;
+    const track = item.querySelector('.load-progress-track');
+    track.setAttribute('aria-valuenow', percent);
+    track.querySelector('.load-progress-bar').style.width = `${percent}%`;
+    
+    const speed = getTransferSpeed(job);
+    let text = `${formatFileSize(received)} of ${formatFileSize(transfer.size)}`;
+    if (transfer.error) {
+        text += ` · ${transfer.error}`;
+    } else if (speed > 0) {
+        text += ` · ${formatFileSize(speed)}/s · ${formatDuration((transfer.size - received) / speed)} left`;
+    }
+    item.querySelector('.transfer-status').textContent = text;
+}
+
+async function initializeDownloadManager() {
+    const setting = document.getElementById('downloadManagerSetting');
+    setting.checked = isDownloadManagerEnabled();
+    setting.addEventListener('change', () => {
+        localStorage.setItem(DOWNLOAD_MANAGER_KEY, setting.checked ? 'true' : 'false');
+    });
+    
+    document.getElementById('downloadManagerList').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const transfer = transfers.find(t => t.id === button.closest('.transfer-item').dataset.id);
+        if (!transfer) return;
+        
+        if (button.dataset.action === 'pause') {
+            pauseTransfer(transfer);
+        } else if (button.dataset.action === 'resume') {
+            resumeTransfers([transfer]);
+        } else if (button.dataset.action === 'save') {
+            saveTransferBlob(transfer).catch(error => showToast(`Couldn't save ${transfer.fileName}: ${error.message}`));
+        } else {
+            removeTransfers([transfer]);
+        }
+    });
+    document.getElementById('downloadManagerResume').addEventListener('click', () => {
+        resumeTransfers(transfers.filter(transfer => transfer.status === 'paused' || transfer.status === 'error'));
+    });
+    document.getElementById('downloadManagerClear').addEventListener('click', () => {
+        removeTransfers(transfers.filter(transfer => transfer.status === 'done'));
+    });
+    document.getElementById('downloadManagerToggle').addEventListener('click', () => {
+        downloadManagerCollapsed = !downloadManagerCollapsed;
+        renderDownloadManager();
+    });
+    
+    // Downloads that failed while offline try again once the connection is back
+    window.addEventListener('online', () => {
+        transfers.filter(transfer => transfer.status === 'error' && !transfer.permanent).forEach(transfer => {
+            transfer.status = 'queued';
+            transfer.error = '';
+        });
+        renderDownloadManager();
+        processTransferQueue();
+    });
+    
+    // Progress survives a reload, but a picked file loses what was written since it was opened
+    window.addEventListener('beforeunload', (e) => {
+        if (activeTransfer && activeTransfer.transfer.saveMode === 'file') {
+            warnBeforeUnload(e);
+        }
+    });
+    
+    // Downloads interrupted by leaving the page wait to be resumed
+    transfers = (await loadTransfers()).map(transfer =>
+        transfer.status === 'queued' || transfer.status === 'downloading' ? { ...transfer, status: 'paused' } : transfer);
+    downloadManagerCollapsed = transfers.every(transfer => transfer.status === 'done');
+    renderDownloadManager();
+}
+
+// ============================================================================
+// File Verification
+// ============================================================================
+// Listings carry each blob's Content-MD5 when the uploader set one. The Verify
+// dialog hashes a local file in hash-worker.js (MD5 and SHA-256, a chunk at a
+// time, never uploaded) and compares it with the blob whose Verify button opened
+// the dialog - or, from the toolbar, with the listed blob that has the same MD5,
+// or failing that the same name.
+
+let verifyTarget = null; // Blob the dialog was opened for (null = find one after hashing)
+let verifyWorker = null; // Worker hashing the chosen file
+
+// Azure reports Content-MD5 in base64; most tools print MD5 in hex ('' when not a valid MD5)
+function base64ToHex(base64) {
+    try {
+        const hex = Array.from(atob(base64), ch => ch.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+        return hex.length === 32 ? hex : '';
+    } catch {
+        return '';
+    }
+}
+
+function hexToBase64(hex) {
+    return btoa(hex.match(/../g).map(byte => String.fromCharCode(parseInt(byte, 16))).join(''));
+}
+
+// Hash value that copies itself when clicked
+function renderHashButton(value, label) {
+    return `<button type="button" class="copy-hash-button" data-hash="${escapeHtml(value)}" aria-label="Copy ${escapeHtml(label)}" title="Copy">${escapeHtml(value)}</button>`;
+}
+
+// MD5 line of a file card, in hex and base64 ('' when the listing has no MD5 for the blob)
+function renderDownloadHash(download) {
+    const hex = base64ToHex(download.ContentMD5 || '');
+    if (!hex) return '';
+    return `<div class="download-hash"><span class="download-hash-label">MD5</span>
+        ${renderHashButton(hex, 'MD5 (hex)')}
+        ${renderHashButton(download.ContentMD5, 'MD5 (base64)')}</div>`;
+}
+
+function openVerifyModal(download = null) {
+    const modal = document.getElementById('verifyModal');
+    verifyTarget = download;
+    
+    document.getElementById('verifyTarget').textContent = download
+        ? `Compare a local copy with ${download.Name}`
+        : 'Choose a downloaded file to find the listed file with the same MD5 (or name) and compare them.';
+    resetVerify();
+    
+    modal._previouslyFocusedElement = document.activeElement;
+    modal.classList.add('active');
+    document.getElementById('verifyFileInput').focus();
+    setupFocusTrap(modal);
+}
+
+function closeVerifyModal() {
+    const modal = document.getElementById('verifyModal');
+    cancelVerify();
+    modal.classList.remove('active');
+    
+    if (modal._focusTrapHandler) {
+        modal.removeEventListener('keydown', modal._focusTrapHandler);
+    }
+    if (modal._previouslyFocusedElement) {
+        modal._previouslyFocusedElement.focus();
+    }
+}
+
+function cancelVerify() {
+    if (verifyWorker) {
+        verifyWorker.terminate();
+        verifyWorker = null;
+    }
+}
+
+function resetVerify() {
+    cancelVerify();
+    document.getElementById('verifyFileInput').value = '';
+    document.getElementById('verifyProgress').hidden = true;
+    document.getElementById('verifyResult').innerHTML = '';
+}
+
+function renderVerifyProgress(file, loaded) {
+    const percent = file.size > 0 ? Math.floor(loaded / file.size * 100) : 100;
+    const track = document.getElementById('verifyProgressTrack');
+    track.setAttribute('aria-valuenow', percent);
+    track.querySelector('.load-progress-bar').style.width = `${percent}%`;
+    document.getElementById('verifyProgressText').textContent =
+        `Hashing ${file.name}: ${formatFileSize(loaded)} of ${formatFileSize(file.size)}`;
+}
+
+// Hash `file` in a worker, then show how it compares with the listed blob
+function verifyLocalFile(file) {
+    resetVerify();
+    document.getElementById('verifyProgress').hidden = false;
+    renderVerifyProgress(file, 0);
+    
+    const worker = new Worker('hash-worker.js');
+    verifyWorker = worker;
+    
+    const finish = (result) => {
+        worker.terminate();
+        verifyWorker = null;
+        document.getElementById('verifyProgress').hidden = true;
+        renderVerifyResult(file, result);
+    };
+    worker.addEventListener('message', (e) => {
+        const message = e.data;
+        if (message.type === 'progress') {
+            renderVerifyProgress(file, message.loaded);
+        } else if (message.type === 'done') {
+            finish(message);
+        } else {
+            finish({ error: message.message });
+        }
+    });
+    worker.addEventListener('error', (e) => {
+        e.preventDefault();
+        finish({ error: e.message || 'The file could not be read' });
+    });
+    worker.postMessage({ file });
+}
+
+// Listed blob to compare a hashed file with
+function findVerifyBlob(file, md5Base64) {
+    if (verifyTarget) return verifyTarget;
+    
+    const sameName = download => download.Name.split('/').pop() === file.name;
+    return allDownloads.find(download => download.ContentMD5 === md5Base64) ||
+        allDownloads.find(download => sameName(download) && download.Length === file.size) ||
+        allDownloads.find(sameName) ||
+        null;
+}
+
+// `hashes` is the worker's reply ({ md5, sha256 } in hex) or { error }
+function renderVerifyResult(file, hashes) {
+    const resultEl = document.getElementById('verifyResult');
+    if (hashes.error) {
+        resultEl.innerHTML = `<div class="verify-status verify-error">Couldn't hash ${escapeHtml(file.name)}: ${escapeHtml(hashes.error)}</div>`;
+        return;
+    }
+    
+    const md5Base64 = hexToBase64(hashes.md5);
+    const download = findVerifyBlob(file, md5Base64);
+    const listedHex = download ? base64ToHex(download.ContentMD5 || '') : '';
+    let result;
+    let message;
+    
+    if (!download) {
+        result = 'not-found';
+        message = `No listed file has the same MD5 or name as ${escapeHtml(file.name)}.`;
+    } else if (!listedHex) {
+        result = 'no-hash';
+        message = `${escapeHtml(download.Name)} has no MD5 in the listing, so it can't be verified` +
+            (download.Length === file.size ? ' (the sizes match).' : ` (and the sizes differ: ${formatFileSize(download.Length)} listed).`);
+    } else if (listedHex === hashes.md5) {
+        result = 'match';
+        message = `✓ Matches ${escapeHtml(download.Name)}`;
+    } else {
+        result = 'mismatch';
+        message = `✗ Doesn't match ${escapeHtml(download.Name)} - the file is corrupt, incomplete or a different version.`;
+    }
+    
+    resultEl.innerHTML = `
+        <div class="verify-status verify-${result}">${message}</div>
+        <dl class="verify-hashes">
+            <dt>MD5</dt><dd>${renderHashButton(hashes.md5, 'MD5 (hex)')}</dd>
+            <dt>MD5 (base64)</dt><dd>${renderHashButton(md5Base64, 'MD5 (base64)')}</dd>
+            <dt>SHA-256</dt><dd>${renderHashButton(hashes.sha256, 'SHA-256')}</dd>
+            ${result === 'mismatch' ? `<dt>Listed MD5</dt><dd>${renderHashButton(listedHex, 'listed MD5 (hex)')}</dd>` : ''}
+        </dl>`;
+    
+    BlobExplorerAnalytics.verifyFile(file.name, download ? download.Name : '', result);
+    
+    // The copy buttons are new focus targets
+    const modal = document.getElementById('verifyModal');
+    modal.removeEventListener('keydown', modal._focusTrapHandler);
+    setupFocusTrap(modal);
+}
+
+function initializeVerify() {
+    const modal = document.getElementById('verifyModal');
+    const dropZone = document.getElementById('verifyDropZone');
+    const fileInput = document.getElementById('verifyFileInput');
+    
+    document.getElementById('verifyFileBtn').addEventListener('click', () => openVerifyModal());
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.verify-button');
+        if (button) {
+            const download = allDownloads.find(d => d.Name === button.dataset.path);
+            if (download) openVerifyModal(download);
+        }
+    });
+    
+    document.getElementById('verifyModalClose').addEventListener('click', closeVerifyModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeVerifyModal();
+    });
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeVerifyModal();
+        }
+    });
+    
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) verifyLocalFile(fileInput.files[0]);
+    });
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (e.dataTransfer.files.length > 0) verifyLocalFile(e.dataTransfer.files[0]);
+    });
+}
+
+// ============================================================================
+// File Preview
+// ============================================================================
+// The Preview button of a file opens it in a side panel: images and PDFs as the
+// browser shows them, Markdown rendered (from escaped text, so it can't carry
+// markup of its own), and text, JSON, XML and logs highlighted. Text formats only
+// fetch their first PREVIEW_TEXT_MAX_BYTES with a Range request, which - unlike
+// images and PDFs - needs the storage host's CORS rules to allow this site.
+// ← and → move to the previous or next previewable file of the current view.
+
+const PREVIEW_TEXT_MAX_BYTES = 256 * 1024;
+const PREVIEW_PDF_MAX_BYTES = 30 * 1024 * 1024; // PDFs served with another Content-Type are fetched to show them
+const PREVIEW_TEXT_EXTENSIONS = new Set(['txt', 'log', 'csv', 'tsv', 'ini', 'cfg', 'conf', 'yml', 'yaml', 'toml',
+    'properties', 'sh', 'ps1', 'psm1', 'bat', 'cmd', 'py', 'js', 'css', 'sql', 'sha1', 'sha256', 'md5', 'sig', 'asc']);
+const PREVIEW_ICON = '<svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16" aria-hidden="true"><path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>';
+
+let previewFile = null; // File shown in the panel
+let previewController = null; // Aborts the fetch of the file being loaded
+let previewObjectUrl = null; // Blob URL of a fetched PDF, revoked when the panel moves on
+
+// How a file is previewed: 'image', 'pdf', 'markdown', 'json', 'xml', 'log', 'text' or null
+function getPreviewKind(download) {
+    const typeName = getFileTypeInfo(download).name;
+    const contentType = (download.ContentType || '').split(';')[0].trim().toLowerCase();
+    const extensions = getFileExtensions(download.Name.split('/').pop());
+    const ext = extensions[extensions.length - 1] || '';
+    
+    if ((typeName === 'Image' || contentType.startsWith('image/')) && contentType !== 'image/tiff') return 'image';
+    if (typeName === 'PDF' || contentType === 'application/pdf') return 'pdf';
+    if (ext === 'md' || ext === 'markdown' || contentType === 'text/markdown') return 'markdown';
+    if (typeName === 'JSON' || /[/+]json$/.test(contentType)) return 'json';
+    if (typeName === 'XML' || typeName === 'HTML' || /[/+]xml$/.test(contentType) || contentType === 'text/html') return 'xml';
+    if (ext === 'log') return 'log';
+    if (typeName === 'Text' || contentType.startsWith('text/') || PREVIEW_TEXT_EXTENSIONS.has(ext)) return 'text';
+    return null;
+}
+
+// Preview button for a file card, or the icon version for table rows and grid tiles ('' when it can't be previewed)
+function renderPreviewButton(download, compact) {
+    if (!getPreviewKind(download)) return '';
+    const fileName = escapeHtml(download.Name.split('/').pop());
+    return compact
+        ? `<button type="button" class="preview-button icon-button" data-path="${escapeHtml(download.Name)}" aria-label="Preview ${fileName}" title="Preview">${PREVIEW_ICON}</button>`
+        : `<button type="button" class="preview-button" data-path="${escapeHtml(download.Name)}" aria-label="Preview ${fileName}">${PREVIEW_ICON} Preview</button>`;
+}
+
+// Escape `text`, replacing each match of `pattern` (a global regex) with `render(match)`
+function highlightTokens(text, pattern, render) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index)) + render(match);
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+function highlightSpan(className, text) {
+    return `<span class="${className}">${escapeHtml(text)}</span>`;
+}
+
+// Strings (keys set apart), numbers and literals; works on truncated JSON too
+function highlightJson(text) {
+    return highlightTokens(text, /("(?:[^"\\\n]|\\.)*")(\s*:)?|-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b|\b(?:true|false|null)\b/g, match => {
+        if (match[1]) {
+            return highlightSpan(match[2] ? 'tok-key' : 'tok-string', match[1]) + escapeHtml(match[2] || '');
+        }
+        return highlightSpan(/^[tfn]/.test(match[0]) ? 'tok-literal' : 'tok-number', match[0]);
+    });
+}
+
+// Comments, CDATA and tags with their attributes (also used for HTML source)
+function highlightXml(text) {
+    return highlightTokens(text, /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[?!/]?[\w:.-][^<>]*>?/g, match => {
+        const token = match[0];
+        if (token.startsWith('<!--')) return highlightSpan('tok-comment', token);
+        if (token.startsWith('<![CDATA[')) return highlightSpan('tok-string', token);
+        
+        const name = token.match(/^<[?!/]?[^\s>/?]*/)[0];
+        const attributes = highlightTokens(token.slice(name.length), /([\w:.-]+)(\s*=\s*)("[^"]*"|'[^']*')/g, attribute =>
+            highlightSpan('tok-attr', attribute[1]) + escapeHtml(attribute[2]) + highlightSpan('tok-string', attribute[3]));
+        return highlightSpan('tok-tag', name) + attributes.replace(/(\/?\??&gt;)$/, '<span class="tok-tag">$1</span>');
+    });
+}
+
+// Timestamps and severity levels
+function highlightLog(text) {
+    return highlightTokens(text, /^\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?\]?|\b(?:(ERROR|FATAL|CRITICAL|FAIL(?:ED|URE)?|Error|Fatal|Failed)|(WARN(?:ING)?|Warning)|(INFO|DEBUG|TRACE|Info|Debug))\b/gm, match => {
+        const className = match[1] ? 'tok-error' : match[2] ? 'tok-warning' : match[3] ? 'tok-level' : 'tok-date';
+        return highlightSpan(className, match[0]);
+    });
+}
+
+// Link or image target from Markdown, resolved against the file's URL and escaped;
+// null unless it is http(s) (or mailto: for links)
+function sanitizeMarkdownUrl(rawUrl, baseUrl, allowMail) {
+    try {
+        const url = new URL(rawUrl, baseUrl);
+        if (url.protocol === 'http:' || url.protocol === 'https:' || (allowMail && url.protocol === 'mailto:')) {
+            return escapeHtml(url.href);
+        }
+    } catch {
+        // Not a URL
+    }
+    return null;
+}
+
+// Bold and italics in plain text (escaped, with no tags of its own yet)
+function renderMarkdownEmphasis(text) {
+    return escapeHtml(text)
+        .replace(/(^|[^\w*])(\*\*|__)(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<strong>$3</strong>')
+        .replace(/(^|[^\w*])([*_])(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>');
+}
+
+// Inline Markdown: code, images, links, autolinks, bold and italics. Emphasis only applies to
+// the text between the other elements, so it never reaches into a URL or an attribute.
+function renderMarkdownInline(text, baseUrl) {
+    const pattern = /(`+)([\s\S]*?)\1|!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^)]*")?\)|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^)]*")?\)|<((?:https?:\/\/|mailto:)[^\s<>]+)>/g;
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        const [token, , code, alt, src, label, href, autolink] = match;
+        html += renderMarkdownEmphasis(text.slice(last, match.index));
+        last = match.index + token.length;
+        
+        if (code !== undefined) {
+            html += `<code>${escapeHtml(code)}</code>`;
+        } else if (src !== undefined) {
+            const url = sanitizeMarkdownUrl(src, baseUrl, false);
+            html += url ? `<img src="${url}" alt="${escapeHtml(alt)}" loading="lazy">` : escapeHtml(alt);
+        } else {
+            const url = sanitizeMarkdownUrl(href || autolink, baseUrl, true);
+            const content = label !== undefined ? renderMarkdownEmphasis(label) : escapeHtml(autolink);
+            html += url ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${content}</a>` : content;
+        }
+    }
+    return html + renderMarkdownEmphasis(text.slice(last));
+}
+
+// Block Markdown: headings, fenced code, quotes, lists, rules and paragraphs. Everything
+// is escaped first and only these tags are produced, so embedded HTML shows as text.
+function renderMarkdown(text, baseUrl) {
+    const lines = text.split(/\r?\n/);
+    const blocks = [];
+    let paragraph = [];
+    let list = null; // { tag, items }
+    
+    const flush = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderMarkdownInline(paragraph.join('\n'), baseUrl)}</p>`);
+            paragraph = [];
+        }
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderMarkdownInline(item, baseUrl)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fence = line.match(/^\s*(`{3,}|~{3,})/);
+        let match;
+        
+        if (fence) {
+            flush();
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+            flush();
+            blocks.push(`<h${match[1].length}>${renderMarkdownInline(match[2], baseUrl)}</h${match[1].length}>`);
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            blocks.push('<hr>');
+        } else if ((match = line.match(/^\s{0,3}>\s?(.*)$/))) {
+            flush();
+            const quote = [match[1]];
+            while (i + 1 < lines.length && (match = lines[i + 1].match(/^\s{0,3}>\s?(.*)$/))) {
+                quote.push(match[1]);
+                i++;
+            }
+            blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'), baseUrl)}</blockquote>`);
+        } else if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+            const tag = /\d/.test(match[1]) ? 'ol' : 'ul';
+            if (paragraph.length > 0 || (list && list.tag !== tag)) flush();
+            if (!list) list = { tag, items: [] };
+            list.items.push(match[2]);
+        } else if (!line.trim()) {
+            flush();
+        } else if (list && /^\s+\S/.test(line)) {
+            list.items[list.items.length - 1] += `\n${line.trim()}`; // Continuation of a list item
+        } else {
+            if (list) flush();
+            paragraph.push(line);
+        }
+    }
+    flush();
+    return blocks.join('\n');
+}
+
+// Fetch the start of a text file as a string: { text, truncated }
+async function fetchPreviewText(download, signal) {
+    const length = Math.min(download.Length, PREVIEW_TEXT_MAX_BYTES);
+    const response = await fetchBlobContent(download.Url, {
+        headers: length > 0 ? { Range: `bytes=0-${length - 1}` } : {},
+        signal
+    });
+    if (!response.ok) {
+        throw new Error(`The file couldn't be loaded (HTTP ${response.status})`);
+    }
+    
+    // A server that ignores the Range header sends everything; stop reading at the limit
+    const reader = response.body.getReader();
+    const parts = [];
+    let received = 0;
+    while (received < length) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        received += value.length;
+    }
+    reader.cancel().catch(() => {});
+    
+    const bytes = new Uint8Array(await new Blob(parts).arrayBuffer()).subarray(0, length);
+    if (bytes.subarray(0, 8000).includes(0)) {
+        throw new Error("This file looks binary, so it isn't shown as text");
+    }
+    const truncated = download.Length > length;
+    const text = new TextDecoder().decode(bytes);
+    return { text: truncated ? text.replace(/�+$/, '') : text, truncated };
+}
+
+// Explain a failed fetch; network errors usually mean the host's CORS rules refused it
+function describePreviewError(error, download) {
+    if (error.name !== 'TypeError') return escapeHtml(error.message);
+    if (isOffline) return "You're offline, so this file can't be previewed.";
+    const host = new URL(download.Url, window.location.href).hostname;
+    return `<strong>${escapeHtml(host)}</strong> doesn't allow this site to read its files (its CORS rules block it), ` +
+        'so this file can\'t be previewed here. Open it in a new tab or download it instead.';
+}
+
+function showPreviewMessage(html, className = 'preview-message') {
+    document.getElementById('previewBody').innerHTML = `<div class="${className}">${html}</div>`;
+}
+
+// Load `download` into the panel body
+async function loadPreview(download) {
+    const kind = getPreviewKind(download);
+    const body = document.getElementById('previewBody');
+    
+    if (previewController) previewController.abort();
+    if (previewObjectUrl) {
+        URL.revokeObjectURL(previewObjectUrl);
+        previewObjectUrl = null;
+    }
+    const controller = new AbortController();
+    previewController = controller;
+    
+    if (!kind) {
+        showPreviewMessage('This type of file has no preview.');
+        return;
+    }
+    if (kind === 'image') {
+        body.innerHTML = `<img class="preview-image" src="${escapeHtml(download.Url)}" alt="${escapeHtml(download.Name.split('/').pop())}">`;
+        body.querySelector('img').addEventListener('error', () => {
+            if (previewFile === download) showPreviewMessage("The image couldn't be displayed.");
+        });
+        return;
+    }
+    
+    showPreviewMessage('Loading preview...', 'preview-message loading');
+    try {
+        if (kind === 'pdf') {
+            let src = download.Url;
+            // Without a PDF Content-Type the browser would download the file instead of showing it
+            if ((download.ContentType || '').split(';')[0].trim().toLowerCase() !== 'application/pdf') {
+                if (download.Length > PREVIEW_PDF_MAX_BYTES) {
+                    showPreviewMessage(`This PDF is too large to preview (${formatFileSize(download.Length)}).`);
+                    return;
+                }
+                const response = await fetchBlobContent(download.Url, { signal: controller.signal });
+                if (!response.ok) throw new Error(`The file couldn't be loaded (HTTP ${response.status})`);
+                const blob = new Blob([await response.arrayBuffer()], { type: 'application/pdf' });
+                if (controller.signal.aborted) return;
+                previewObjectUrl = src = URL.createObjectURL(blob);
+            }
+            body.innerHTML = `<iframe class="preview-pdf" src="${escapeHtml(src)}" title="${escapeHtml(download.Name.split('/').pop())}"></iframe>`;
+            return;
+        }
+        
+        const { text, truncated } = await fetchPreviewText(download, controller.signal);
+        if (controller.signal.aborted) return;
+        
+        const highlighters = { json: highlightJson, xml: highlightXml, log: highlightLog, text: escapeHtml };
+        const content = kind === 'markdown'
+            ? `<div class="preview-markdown">${renderMarkdown(text, download.Url)}</div>`
+            : `<pre class="preview-code"><code>${highlighters[kind](text)}</code></pre>`;
+        const note = truncated
+            ? `<div class="preview-note">Showing the first ${formatFileSize(PREVIEW_TEXT_MAX_BYTES)} of ${formatFileSize(download.Length)}. Download the file to see all of it.</div>`
+            : '';
+        body.innerHTML = text ? content + note : '<div class="preview-message">This file is empty.</div>';
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn('Preview failed:', error);
+        showPreviewMessage(describePreviewError(error, download), 'preview-message preview-error');
+    }
+}
+
+function isPreviewOpen() {
+    return !document.getElementById('previewPanel').hidden;
+}
+
+// Next (1) or previous (-1) previewable file of the current view, or null
+function getPreviewNeighbor(direction) {
+    const index = previewFile ? currentViewIndex.get(previewFile.Name) : undefined;
+    if (index === undefined) return null;
+    for (let i = index + direction; i >= 0 && i < currentViewFiles.length; i += direction) {
+        if (getPreviewKind(currentViewFiles[i])) return currentViewFiles[i];
+    }
+    return null;
+}
+
+function updatePreviewNav() {
+    if (!isPreviewOpen()) return;
+    document.getElementById('previewPrev').disabled = !getPreviewNeighbor(-1);
+    document.getElementById('previewNext').disabled = !getPreviewNeighbor(1);
+}
+
+function openPreview(download) {
+    const panel = document.getElementById('previewPanel');
+    const fileName = download.Name.split('/').pop();
+    const typeInfo = getFileTypeInfo(download);
+    
+    if (panel.hidden) {
+        panel._previouslyFocusedElement = document.activeElement;
+        panel.hidden = false;
+        document.body.classList.add('preview-open');
+    }
+    previewFile = download;
+    
+    document.getElementById('previewTitle').textContent = fileName;
+    document.getElementById('previewTitle').title = download.Name;
+    document.getElementById('previewMeta').textContent =
+        `${typeInfo.name} · ${formatFileSize(download.Length)} · ${formatDate(download.LastModified)}`;
+    document.getElementById('previewFooter').innerHTML = `
+        <a class="preview-open-link" href="${escapeHtml(download.Url)}" target="_blank" rel="noopener noreferrer">Open in new tab</a>
+        <button class="download-button" data-path="${escapeHtml(download.Name)}" data-url="${escapeHtml(download.Url)}" aria-label="Download ${escapeHtml(fileName)}"${isOffline ? ' disabled' : ''}>Download</button>`;
+    updatePreviewNav();
+    
+    BlobExplorerAnalytics.preview(fileName, download.Name, getPreviewKind(download));
+    loadPreview(download);
+    document.getElementById('previewBody').focus();
+}
+
+function closePreview() {
+    const panel = document.getElementById('previewPanel');
+    if (previewController) previewController.abort();
+    if (previewObjectUrl) {
+        URL.revokeObjectURL(previewObjectUrl);
+        previewObjectUrl = null;
+    }
+    previewFile = null;
+    panel.hidden = true;
+    document.body.classList.remove('preview-open');
+    document.getElementById('previewBody').innerHTML = '';
+    
+    if (panel._previouslyFocusedElement && document.contains(panel._previouslyFocusedElement)) {
+        panel._previouslyFocusedElement.focus();
+    }
+}
+
+function showAdjacentPreview(direction) {
+    const neighbor = getPreviewNeighbor(direction);
+    if (neighbor) openPreview(neighbor);
+}
+
+function initializePreview() {
+    const panel = document.getElementById('previewPanel');
+    
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.preview-button');
+        if (button) {
+            const download = allDownloads.find(d => d.Name === button.dataset.path);
+            if (download) openPreview(download);
+        }
+    });
+    
+    document.getElementById('previewPrev').addEventListener('click', () => showAdjacentPreview(-1));
+    document.getElementById('previewNext').addEventListener('click', () => showAdjacentPreview(1));
+    document.getElementById('previewClose').addEventListener('click', closePreview);
+    
+    panel.addEventListener('keydown', (e) => {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            showAdjacentPreview(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    });
+}
+
+// ============================================================================
+// Search Suggestions
+// ============================================================================
+// Autocomplete under the search box, following the ARIA combobox pattern: matching
+// folders, matching file names from the current results, and recent searches
+// (kept in localStorage). Escape is handled in initializeKeyboardShortcuts().
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 20;
+const MAX_SUGGESTIONS_PER_GROUP = 5;
+
+let searchSuggestions = []; // [{ kind: 'folder' | 'file' | 'recent', value }]
+let activeSuggestion = -1; // Index of the highlighted suggestion, -1 for none
+
+function getRecentSearches() {
+    try {
+        const stored = localStorage.getItem(RECENT_SEARCHES_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        console.error('Failed to load recent searches:', e);
+        return [];
+    }
+}
+
+// Remember a query, most recent first
+function addRecentSearch(query) {
+    query = query.trim();
+    if (query.length < 2) return;
+    
+    const recent = [query, ...getRecentSearches().filter(q => q !== query)].slice(0, MAX_RECENT_SEARCHES);
+    try {
+        localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
+    } catch (e) {
+        console.error('Failed to save recent searches:', e);
+    }
+}
+
+function clearRecentSearches() {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+}
+
+// Lowercase text of a query made of plain words, or '' when it uses search syntax
+function getPlainSearchText(query) {
+    const text = query.trim().toLowerCase();
+    if (/[:*?"]/.test(text) || /^[\/^-]/.test(text) || /\sor\s/.test(text)) return '';
+    return text;
+}
+
+// Folders whose path contains the text: folder names starting with it first,
+// then names containing it, then matches elsewhere in the path
+function findFolderSuggestions(text) {
+    const matches = [];
+    folderTree.forEach((node, path) => {
+        const lower = path.toLowerCase();
+        const index = lower.indexOf(text);
+        if (!path || index === -1) return;
+        
+        const nameStart = lower.lastIndexOf('/') + 1;
+        const rank = index === nameStart ? 0 : index > nameStart ? 1 : 2;
+        matches.push({ path, rank });
+    });
+    
+    return matches
+        .sort((a, b) => a.rank - b.rank || a.path.length - b.path.length)
+        .slice(0, MAX_SUGGESTIONS_PER_GROUP)
+        .map(({ path }) => ({ kind: 'folder', value: path }));
+}
+
+// Best matching file names among the query's results (once the search has run)
+function findFileSuggestions(query, text) {
+    const results = searchResultsCache.get(searchCacheKey(query));
+    if (!results) return [];
+    
+    const score = createRelevanceScorer(query);
+    return results
+        .filter(download => isBlobVisible(download) &&
+            download.Name.slice(download.Name.lastIndexOf('/') + 1).toLowerCase().includes(text))
+        .map(download => ({ download, score: score(download) }))
+        .sort((a, b) => b.score - a.score || a.download.Name.length - b.download.Name.length)
+        .slice(0, MAX_SUGGESTIONS_PER_GROUP)
+        .map(({ download }) => ({ kind: 'file', value: download.Name }));
+}
+
+// Rebuild the suggestions for the current search box text
+function updateSearchSuggestions() {
+    const searchInput = document.getElementById('searchInput');
+    const query = searchInput.value;
+    const text = getPlainSearchText(query);
+    const lowerQuery = query.trim().toLowerCase();
+    
+    const recent = getRecentSearches()
+        .filter(q => q !== query.trim() && q.toLowerCase().includes(lowerQuery))
+        .slice(0, MAX_SUGGESTIONS_PER_GROUP)
+        .map(q => ({ kind: 'recent', value: q }));
+    
+    searchSuggestions = text
+        ? [...findFolderSuggestions(text), ...findFileSuggestions(query, text), ...recent]
+        : recent;
+    activeSuggestion = -1;
+    renderSearchSuggestions();
+}
+
+function renderSearchSuggestions() {
+    const searchInput = document.getElementById('searchInput');
+    const panel = document.getElementById('searchSuggestionsPanel');
+    const listEl = document.getElementById('searchSuggestions');
+    
+    if (searchSuggestions.length === 0 || document.activeElement !== searchInput) {
+        closeSearchSuggestions();
+        return;
+    }
+    
+    const groups = {
+        folder: { label: 'Folders', icon: 'icon-folder' },
+        file: { label: 'Files', icon: 'icon-file-small' },
+        recent: { label: 'Recent searches', icon: 'icon-search' }
+    };
+    const terms = getRelevanceTerms(searchInput.value);
+    
+    let html = '';
+    let currentKind = null;
+    searchSuggestions.forEach((suggestion, index) => {
+        if (suggestion.kind !== currentKind) {
+            currentKind = suggestion.kind;
+            html += `<li class="suggestion-group" role="presentation">${groups[currentKind].label}</li>`;
+        }
+        
+        // Folders and files show their name, with the parent folder alongside
+        const value = suggestion.value;
+        const nameStart = suggestion.kind === 'recent' ? 0 : value.lastIndexOf('/') + 1;
+        const matches = suggestion.kind === 'recent' ? new Set() : findMatchPositions(value, terms);
+        const parent = nameStart > 0 ? value.slice(0, nameStart - 1).split('/').join(' / ') : '';
+        
+        html += `
+            <li id="searchSuggestion-${index}" class="suggestion-item" role="option" aria-selected="${index === activeSuggestion}" data-index="${index}">
+                <span class="${groups[suggestion.kind].icon}" aria-hidden="true"></span>
+                <span class="suggestion-text">${highlightText(value.slice(nameStart), matches, nameStart)}</span>
+                ${parent ? `<span class="suggestion-detail">${escapeHtml(parent)}</span>` : ''}
+            </li>
+        `;
+    });
+    
+    listEl.innerHTML = html;
+    document.getElementById('clearRecentSearches').hidden = !searchSuggestions.some(s => s.kind === 'recent');
+    panel.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+    
+    if (activeSuggestion >= 0) {
+        searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${activeSuggestion}`);
+        document.getElementById(`searchSuggestion-${activeSuggestion}`).scrollIntoView({ block: 'nearest' });
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+function isSearchSuggestionsOpen() {
+    return !document.getElementById('searchSuggestionsPanel').hidden;
+}
+
+function closeSearchSuggestions() {
+    const searchInput = document.getElementById('searchInput');
+    document.getElementById('searchSuggestionsPanel').hidden = true;
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.removeAttribute('aria-activedescendant');
+    activeSuggestion = -1;
+}
+
+// Act on a suggestion: open a folder, show a file, or re-run a recent search
+function selectSearchSuggestion(suggestion, updateClearButtonVisibility) {
+    const searchInput = document.getElementById('searchInput');
+    closeSearchSuggestions();
+    
+    if (suggestion.kind === 'folder') {
+        navigateToPath(suggestion.value.split('/'));
+        return;
+    }
+    
+    if (suggestion.kind === 'file') {
+        searchInput.value = `name:"${suggestion.value.split('/').pop()}"`;
+    } else {
+        searchInput.value = suggestion.value;
+        addRecentSearch(suggestion.value);
+    }
+    updateClearButtonVisibility();
+    applyFilters();
+}
+
+function initializeSearchSuggestions(updateClearButtonVisibility) {
+    const searchInput = document.getElementById('searchInput');
+    const listEl = document.getElementById('searchSuggestions');
+    const clearHistoryBtn = document.getElementById('clearRecentSearches');
+    
+    searchInput.addEventListener('input', updateSearchSuggestions);
+    searchInput.addEventListener('focus', updateSearchSuggestions);
+    searchInput.addEventListener('blur', closeSearchSuggestions);
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isSearchSuggestionsOpen()) {
+                updateSearchSuggestions();
+                return;
+            }
+            
+            // Cycle through the suggestions and back to the search box text
+            const count = searchSuggestions.length;
+            const next = activeSuggestion + (e.key === 'ArrowDown' ? 1 : -1);
+            activeSuggestion = next >= count ? -1 : next < -1 ? count - 1 : next;
+            renderSearchSuggestions();
+        } else if (e.key === 'Enter') {
+            if (isSearchSuggestionsOpen() && activeSuggestion >= 0) {
+                e.preventDefault();
+                selectSearchSuggestion(searchSuggestions[activeSuggestion], updateClearButtonVisibility);
+            } else {
+                addRecentSearch(searchInput.value);
+                closeSearchSuggestions();
+            }
+        }
+    });
+    
+    // Keep focus in the search box while clicking the panel
+    document.getElementById('searchSuggestionsPanel').addEventListener('mousedown', (e) => e.preventDefault());
+    
+    listEl.addEventListener('click', (e) => {
+        const item = e.target.closest('.suggestion-item');
+        if (item) {
+            selectSearchSuggestion(searchSuggestions[Number(item.dataset.index)], updateClearButtonVisibility);
+        }
+    });
+    
+    clearHistoryBtn.addEventListener('click', () => {
+        clearRecentSearches();
+        updateSearchSuggestions();
+        showToast('Recent searches cleared');
+    });
+}
+
+// ============================================================================
+// Live Updates
+// ============================================================================
+// While the page is open, metadata.json is polled so listings published by the
+// background updater can be applied in place. Polling pauses while the tab is hidden.
+
+const UPDATE_CHECK_INTERVAL = 5 * 60 * 1000;
+const LAST_UPDATED_TICK_INTERVAL = 30 * 1000;
+
+let loadedListing = null; // { version, serverLastUpdated } of the server listing on screen
+let pendingMetadata = null; // Newer metadata.json waiting to be applied
+let updateCheckTimer = null;
+let lastUpdateCheck = 0;
+let applyingUpdate = false;
+let dismissedUpdate = 0; // lastUpdated (ms) of the listing whose banner was dismissed; only newer ones show it again
+
+// Check metadata.json for a listing newer than the one on screen
+async function checkForUpdates() {
+    lastUpdateCheck = Date.now();
+    
+    // Custom storage has no metadata.json; wait for an initial load to finish
+    if (activeSource !== SERVER_SOURCE || !loadedListing || applyingUpdate) return;
+    
+    const metadata = await fetchMetadata(false);
+    // The user may have switched to custom storage while this was in flight
+    if (!metadata || !metadata.lastUpdated || activeSource !== SERVER_SOURCE) return;
+    
+    const serverLastUpdated = new Date(metadata.lastUpdated).getTime();
+    if (loadedListing.serverLastUpdated && serverLastUpdated <= loadedListing.serverLastUpdated) return;
+    
+    pendingMetadata = metadata;
+    if (serverLastUpdated > dismissedUpdate) {
+        showUpdateBanner(metadata);
+    }
+}
+
+// Count what changed between the listing on screen and `metadata`, using the delta summaries
+// Returns null when there is no complete delta chain to count from.
+function summarizeUpdate(metadata) {
+    const chain = getDeltaChainEntries(metadata, loadedListing && loadedListing.version);
+    if (!chain) return null;
+    
+    return chain.reduce((totals, entry) => ({
+        added: totals.added + (entry.added || 0),
+        changed: totals.changed + (entry.changed || 0),
+        removed: totals.removed + (entry.removed || 0)
+    }), { added: 0, changed: 0, removed: 0 });
+}
+
+function showUpdateBanner(metadata) {
+    const banner = document.getElementById('updateBanner');
+    const textEl = document.getElementById('updateBannerText');
+    const summary = summarizeUpdate(metadata);
+    
+    if (summary) {
+        const parts = [];
+        if (summary.added) parts.push(`${summary.added.toLocaleString()} new`);
+        if (summary.changed) parts.push(`${summary.changed.toLocaleString()} changed`);
+        if (summary.removed) parts.push(`${summary.removed.toLocaleString()} removed`);
+        textEl.textContent = parts.length > 0
+            ? `New data available: ${parts.join(', ')} item${summary.added + summary.changed + summary.removed !== 1 ? 's' : ''}`
+            : 'New data available';
+    } else {
+        textEl.textContent = 'A newer listing is available';
+    }
+    
+    banner.hidden = false;
+}
+
+function hideUpdateBanner() {
+    document.getElementById('updateBanner').hidden = true;
+}
+
+// Hide the banner until a listing newer than the pending one is published
+function dismissUpdateBanner() {
+    if (pendingMetadata) {
+        dismissedUpdate = new Date(pendingMetadata.lastUpdated).getTime();
+    }
+    hideUpdateBanner();
+}
+
+// Apply the pending update without leaving the current folder, search, filters or page
+async function applyPendingUpdate() {
+    const metadata = pendingMetadata;
+    if (!metadata || applyingUpdate || activeSource !== SERVER_SOURCE) return;
+    
+    applyingUpdate = true;
+    hideUpdateBanner();
+    
+    const contentEl = document.querySelector('.content');
+    const scrollTop = contentEl.scrollTop;
+    const page = currentPage;
+    
+    try {
+        if (!await refreshServerData(metadata, loadedListing && loadedListing.version, 'Updating data...')) return;
+        pendingMetadata = null;
+        setLastUpdated('Last updated', metadata.lastUpdated);
+        
+        updateFileTypeFilterCounts();
+        
+        // The folder being browsed may have been removed; fall back to its nearest remaining parent
+        const path = [...currentPath];
+        while (path.length > 0 && !folderTree.has(path.join('/'))) {
+            path.pop();
+        }
+        
+        if (path.length !== currentPath.length) {
+            navigateToPath(path);
+        } else {
+            const totalPages = Math.max(1, Math.ceil(getCurrentViewItemCount() / itemsPerPage));
+            currentPage = Math.min(page, totalPages);
+            renderFavorites();
+            displayDownloads();
+            if (currentPage === page) {
+                contentEl.scrollTop = scrollTop;
+            }
+        }
+        
+        showToast('Listing updated');
+    } catch (error) {
+        hideLoadProgress();
+        console.error('Failed to apply update:', error);
+        showToast('Could not update data, please try again');
+        showUpdateBanner(metadata);
+    } finally {
+        applyingUpdate = false;
+    }
+}
+
+function scheduleUpdateCheck(delay = UPDATE_CHECK_INTERVAL) {
+    clearTimeout(updateCheckTimer);
+    updateCheckTimer = setTimeout(async () => {
+        await checkForUpdates();
+        scheduleUpdateCheck();
+    }, delay);
+}
+
+// Initialize update polling and the ticking "Last updated" label
+function initializeLiveUpdates() {
+    document.getElementById('updateBannerApply').addEventListener('click', applyPendingUpdate);
+    document.getElementById('updateBannerDismiss').addEventListener('click', dismissUpdateBanner);
+    
+    setInterval(renderLastUpdated, LAST_UPDATED_TICK_INTERVAL);
+    
+    // Pause polling while the tab is hidden; check right away on return if a check is overdue
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            clearTimeout(updateCheckTimer);
+            return;
+        }
+        renderLastUpdated();
+        scheduleUpdateCheck(Math.max(0, lastUpdateCheck + UPDATE_CHECK_INTERVAL - Date.now()));
+    });
+    
+    lastUpdateCheck = Date.now();
+    if (!document.hidden) {
+        scheduleUpdateCheck();
+    }
+}
+
+// ============================================================================
+// Offline Support
+// ============================================================================
+// sw.js keeps the app shell cached so the last listing (from IndexedDB) can be
+// browsed without a connection. Downloads are disabled while offline.
+
+let isOffline = !navigator.onLine;
+
+function renderOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    if (!banner) return;
+    
+    if (isOffline) {
+        const since = lastUpdatedLabel ? ` from ${formatRelativeTime(lastUpdatedLabel.timestamp)}` : '';
+        banner.textContent = `You're offline, showing data${since}. Downloads are unavailable until you reconnect.`;
+    }
+    banner.hidden = !isOffline;
+}
+
+function updateOfflineState() {
+    isOffline = !navigator.onLine;
+    document.body.classList.toggle('offline', isOffline);
+    document.querySelectorAll('.download-button, .zip-button').forEach(button => {
+        button.disabled = isOffline;
+    });
+    renderSelectionToolbar();
+    renderOfflineBanner();
+}
+
+// Register the service worker and track connectivity
+function initializeOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.log('Service worker registration failed:', error);
+            });
+        });
+    }
+    
+    window.addEventListener('offline', updateOfflineState);
+    window.addEventListener('online', () => {
+        updateOfflineState();
+        checkForUpdates();
+    });
+    updateOfflineState();
+}
+
+// ============================================================================
+// Custom Storage URL Feature
+// ============================================================================
+
+const CUSTOM_URL_KEY = 'customStorageUrl';
+
+// Check if custom URL feature is enabled
+function isCustomUrlEnabled() {
+    return typeof window.APP_CONFIG !== 'undefined' && window.APP_CONFIG.allowCustomUrl === true;
+}
+
+// Get stored custom URL from localStorage
+function getCustomUrl() {
+    try {
+        return localStorage.getItem(CUSTOM_URL_KEY) || '';
+    } catch (e) {
+        console.error('Failed to get custom URL:', e);
+        return '';
+    }
+}
+
+// Save custom URL to localStorage
+function saveCustomUrl(url) {
+    try {
+        if (url) {
+            localStorage.setItem(CUSTOM_URL_KEY, url);
+        } else {
+            localStorage.removeItem(CUSTOM_URL_KEY);
+        }
+    } catch (e) {
+        console.error('Failed to save custom URL:', e);
+    }
+}
+
+// Same-origin proxy URL for an Azure Blob Storage URL, or null for other hosts (see nginx.conf)
+// Example: https://account.blob.core.windows.net/container 
+//       -> /api/blob-proxy/account.blob.core.windows.net/container
+function getBlobProxyUrl(url) {
+    const parsed = new URL(url, window.location.href);
+    if (!parsed.hostname.endsWith('.blob.core.windows.net')) {
+        return null;
+    }
+    return `/api/blob-proxy/${parsed.hostname}${parsed.pathname}${parsed.search}`;
+}
+
+// Hosts that refused a cross-origin request for blob contents; later requests go through the proxy
+const corsBlockedHosts = new Set();
+
+// Fetch a blob's contents, falling back to the same-origin proxy when CORS blocks the direct request
+async function fetchBlobContent(url, init = {}) {
+    const host = new URL(url, window.location.href).hostname;
+    const proxyUrl = getBlobProxyUrl(url);
+    
+    if (!proxyUrl || !corsBlockedHosts.has(host)) {
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            // A CORS refusal surfaces as a network error (TypeError), like being offline
+            if (error.name === 'AbortError' || !proxyUrl) throw error;
+            corsBlockedHosts.add(host);
+        }
+    }
+    return fetch(proxyUrl, init);
+}
+
+// Fetch blobs from a custom Azure Blob Storage URL (client-side)
+async function fetchBlobsFromUrl(baseUrl, onProgress) {
+    const blobs = [];
+    let marker = null;
+    let pageNum = 0;
+    const maxResults = 5000;
+    
+    // Ensure URL doesn't have trailing slash
+    baseUrl = baseUrl.replace(/\/$/, '');
+    
+    // Check if we need to use the CORS proxy
+    // The proxy is needed when fetching from a different origin
+    const currentOrigin = window.location.origin;
+    const targetUrl = new URL(baseUrl);
+    const needsProxy = targetUrl.origin !== currentOrigin;
+    
+    const getProxiedUrl = (url) => {
+        if (!needsProxy) return url;
+        const proxyUrl = getBlobProxyUrl(url);
+        if (!proxyUrl) {
+            throw new Error('Only Azure Blob Storage URLs are supported');
+        }
+        return proxyUrl;
+    };
+    
+    while (true) {
+        pageNum++;
+        let url = `${baseUrl}?restype=container&comp=list&maxresults=${maxResults}`;
+        if (marker) {
+            url += `&marker=${encodeURIComponent(marker)}`;
+        }
+        
+        if (onProgress) {
+            onProgress(`Fetching page ${pageNum}... (${blobs.length} items so far)`);
+        }
+        
+        const fetchUrl = getProxiedUrl(url);
+        const response = await fetch(fetchUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch blob list: ${response.status} ${response.statusText}`);
+        }
+        
+        const xmlText = await response.text();
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+        
+        // Check for parse errors
+        const parseError = xmlDoc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('Invalid XML response from storage');
+        }
+        
+        // Extract blobs
+        const blobElements = xmlDoc.querySelectorAll('Blob');
+        blobElements.forEach(blobEl => {
+            const name = blobEl.querySelector('Name')?.textContent || '';
+            const props = blobEl.querySelector('Properties');
+            
+            if (name) {
+                const encodedName = name.split('/').map(part => encodeURIComponent(part)).join('/');
+                blobs.push({
+                    Name: name,
+                    Url: `${baseUrl}/${encodedName}`,
+                    Length: parseInt(props?.querySelector('Content-Length')?.textContent || '0', 10),
+                    LastModified: props?.querySelector('Last-Modified')?.textContent || '',
+                    ContentType: props?.querySelector('Content-Type')?.textContent || '',
+                    ContentMD5: props?.querySelector('Content-MD5')?.textContent || '',
+                    Etag: props?.querySelector('Etag')?.textContent || ''
+                });
+            }
+        });
+        
+        // Check for next page
+        const nextMarker = xmlDoc.querySelector('NextMarker')?.textContent;
+        if (!nextMarker) {
+            break;
+        }
+        marker = nextMarker;
+    }
+    
+    return blobs;
+}
+
+// Load data from custom URL
+// With `useCache`, a cached copy of the container is shown while its listing is fetched again.
+async function loadDataFromCustomUrl(customUrl, { useCache = false } = {}) {
+    const loadingEl = document.getElementById('downloadList');
+    const source = getCustomSourceKey(customUrl);
+    let cachedCount = 0;
+    
+    try {
+        if (useCache) {
+            const cached = await getCachedData(source);
+            if (cached && cached.downloads && cached.downloads.length > 0) {
+                console.log('Loading custom storage from cache:', cached.downloads.length, 'items');
+                loadingEl.innerHTML = '<div class="loading">Loading from cache...</div>';
+                applyIndexedData(await indexDownloads(cached.downloads, cached.searchIndex));
+                setActiveSource(source);
+                cachedCount = allDownloads.length;
+                
+                initializeFilters();
+                renderFavorites();
+                displayDownloads();
+                setLastUpdated('Custom storage cached', cached.timestamp);
+            }
+        }
+        
+        if (!cachedCount) {
+            loadingEl.innerHTML = '<div class="loading">Connecting to storage...</div>';
+        }
+        
+        const blobs = await fetchBlobsFromUrl(customUrl, (status) => {
+            // Don't replace a cached listing the user may be browsing
+            if (!cachedCount) {
+                loadingEl.innerHTML = `<div class="loading">${status}</div>`;
+            }
+        });
+        
+        console.log('Fetched', blobs.length, 'blobs from custom URL');
+        
+        if (blobs.length === 0) {
+            throw new Error('No blobs found in storage container');
+        }
+        
+        // Replace existing data and rebuild optimized data structures in the worker
+        if (!cachedCount) {
+            loadingEl.innerHTML = '<div class="loading">Indexing blob list...</div>';
+        }
+        const indexed = await indexDownloads(blobs);
+        applyIndexedData(indexed);
+        setActiveSource(source);
+        
+        // Cache the data
+        await cacheData({ downloads: allDownloads, searchIndex: indexed.searchIndex, timestamp: Date.now(), customUrl: customUrl }, source);
+        
+        // Reset to home (unless refreshing a cached copy in place) and re-render
+        if (!cachedCount) {
+            currentPath = [];
+        }
+        initializeFilters();
+        renderFavorites();
+        displayDownloads();
+        
+        // Update last updated display
+        setLastUpdated('Custom storage loaded', Date.now());
+        
+        return { success: true, count: blobs.length };
+        
+    } catch (error) {
+        console.error('Error loading from custom URL:', error);
+        if (cachedCount) {
+            showToast('Could not refresh custom storage, showing cached copy');
+            return { success: true, count: cachedCount, fromCache: true };
+        }
+        throw error;
+    }
+}
+
+// Render the cached sources list in the settings modal
+// `onChange` runs after the list is re-rendered following a removal.
+async function renderCachedSources(onChange) {
+    const listEl = document.getElementById('cachedSourcesList');
+    const usageEl = document.getElementById('storageUsage');
+    const sources = await getCachedSources();
+    
+    listEl.innerHTML = '';
+    if (sources.length === 0) {
+        listEl.innerHTML = '<li class="cached-source-empty">Nothing cached yet</li>';
+    }
+    
+    sources.forEach(info => {
+        const label = getSourceLabel(info.key);
+        const inUse = info.key === activeSource;
+        
+        const itemEl = document.createElement('li');
+        itemEl.className = 'cached-source';
+        itemEl.innerHTML = `
+            <div class="cached-source-info">
+                <span class="cached-source-name"></span>
+                <span class="cached-source-meta">${info.count.toLocaleString()} items · ${formatFileSize(info.sizeBytes)} · refreshed ${formatRelativeTime(info.lastRefreshed)}${inUse ? ' · in use' : ''}</span>
+            </div>
+            <button type="button" class="cached-source-remove">Remove</button>
+        `;
+        itemEl.querySelector('.cached-source-name').textContent = label;
+        itemEl.title = new Date(info.lastRefreshed).toLocaleString();
+        
+        const removeBtn = itemEl.querySelector('.cached-source-remove');
+        removeBtn.setAttribute('aria-label', `Remove cached data for ${label}`);
+        removeBtn.addEventListener('click', async () => {
+            try {
+                await deleteCachedSource(info.key);
+                showToast(inUse ? 'Cached data removed; it will be downloaded again on next visit' : 'Cached data removed');
+            } catch (error) {
+                console.error('Failed to remove cached data:', error);
+                showToast('Failed to remove cached data');
+            }
+            await renderCachedSources(onChange);
+            if (onChange) onChange();
+            document.getElementById('settingsModalClose').focus();
+        });
+        
+        listEl.appendChild(itemEl);
+    });
+    
+    usageEl.textContent = '';
+    if (navigator.storage && navigator.storage.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        usageEl.textContent = `Using ${formatFileSize(usage)} of ${formatFileSize(quota)} available to this site`;
+    }
+}
+
+// Initialize settings modal
+function initializeSettingsModal() {
+    const settingsButton = document.getElementById('settingsButton');
+    const settingsModal = document.getElementById('settingsModal');
+    const settingsModalClose = document.getElementById('settingsModalClose');
+    const customUrlInput = document.getElementById('customUrlInput');
+    const settingsStatus = document.getElementById('settingsStatus');
+    const loadBtn = document.getElementById('settingsLoadBtn');
+    const resetBtn = document.getElementById('settingsResetBtn');
+    
+    // Show custom URL section if feature is enabled
+    if (isCustomUrlEnabled()) {
+        document.getElementById('customUrlSection').hidden = false;
+    }
+    
+    // Load saved URL
+    customUrlInput.value = getCustomUrl();
+    
+    const showStatus = (type, message) => {
         settingsStatus.style.display = 'flex';
         settingsStatus.className = 'settings-status ' + type;
         settingsStatus.querySelector('.status-text').textContent = message;
@@ -2286,12 +6968,21 @@ function initializeSettingsModal() {
         settingsStatus.style.display = 'none';
     };
     
-    const openSettingsModal = () => {
+    // Re-scan focusable elements after the cached sources list changes
+    const refreshFocusTrap = () => {
+        if (settingsModal._focusTrapHandler) {
+            settingsModal.removeEventListener('keydown', settingsModal._focusTrapHandler);
+        }
+        setupFocusTrap(settingsModal);
+    };
+    
+    const openSettingsModal = async () => {
         settingsModal._previouslyFocusedElement = document.activeElement;
         settingsModal.classList.add('active');
         settingsModalClose.focus();
-        setupFocusTrap(settingsModal);
         hideStatus();
+        await renderCachedSources(refreshFocusTrap);
+        refreshFocusTrap();
     };
     
     const closeSettingsModal = () => {
@@ -2357,25 +7048,13 @@ function initializeSettingsModal() {
         saveCustomUrl('');
         hideStatus();
         
-        // Clear cache and reload from server
-        try {
-            const db = await initDB();
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            store.delete('allDownloads');
-            
-            showStatus('loading', 'Resetting to default storage...');
-            closeSettingsModal();
-            
-            // Navigate to home before reload (current path/search is irrelevant for new storage)
-            window.location.hash = '';
-            window.location.reload();
-            
-        } catch (error) {
-            console.error('Failed to clear cache:', error);
-            window.location.hash = '';
-            window.location.reload();
-        }
+        // Reload from the server (its listing stays cached separately from custom storage)
+        showStatus('loading', 'Resetting to default storage...');
+        closeSettingsModal();
+        
+        // Navigate to home before reload (current path/search is irrelevant for new storage)
+        window.location.hash = '';
+        window.location.reload();
     });
     
     // Handle Enter key in input
@@ -2413,8 +7092,16 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize all UI components
     initializeTheme();
     initializeSearch(updateClearButtonVisibility);
+    initializeSearchSuggestions(updateClearButtonVisibility);
     initializePagination();
     initializeFilterDropdown();
+    initializeFacets();
+    initializeViewMode();
+    initializeSelection();
+    initializeZipDownloads();
+    initializeExport();
+    initializeVerify();
+    initializePreview();
     initializeBackToTop();
     initializeCopyHandlers();
     
@@ -2422,6 +7109,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const { helpModal, closeHelpModal } = initializeHelpModal();
     initializePinModal();
     initializeSettingsModal();
+    initializeLiveUpdates();
+    initializeOfflineSupport();
+    initializeDownloadManager();
     
     initializeKeyboardShortcuts(searchInput, helpModal, closeHelpModal, closeSidebar, updateClearButtonVisibility);
     initializeUrlState(searchInput, updateClearButtonVisibility);
@@ -2429,7 +7119,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Check if we should load from custom URL
     const customUrl = getCustomUrl();
     if (isCustomUrlEnabled() && customUrl) {
-        loadDataFromCustomUrl(customUrl).catch(error => {
+        loadDataFromCustomUrl(customUrl, { useCache: true }).catch(error => {
             console.error('Failed to load custom URL, falling back to default:', error);
             saveCustomUrl(''); // Clear invalid URL
             loadData();
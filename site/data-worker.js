@@ -0,0 +1,497 @@
+// Data worker - fetches, parses and indexes the blob listing off the main thread.
+//
+// Messages from the page carry an `id`; every reply echoes it so the page can
+// match replies to requests. Supported requests:
+//   { type: 'fetch', url, format, expectedBytes, downloadBase }
+//                                         - stream-download and parse a listing, then index it
+//   { type: 'index', downloads, searchIndex } - index an already-parsed listing (cache, custom URL);
+//                                           a still-valid cached search index is reused
+//   { type: 'search', query, fuzzy }      - search the last indexed listing (fuzzy: tolerate typos)
+//   { type: 'cancel', id }                - abandon request `id` (a search); it gets no reply
+//   { type: 'configure', fileTypes, visibility }
+//                                         - file type categories and visibility rules from config.json (no reply)
+//
+// Replies:
+//   { type: 'progress', loaded, total }                 - download progress in bytes
+//   { type: 'done', downloads, folderTree, fileTypeCache, searchIndex }
+//                                         - listing ready to use (searchIndex only when newly built)
+//   { type: 'done', matches }             - search results as a Uint32Array of listing positions
+//   { type: 'error', message }
+
+importScripts('file-types.js', 'search-query.js', 'visibility.js');
+
+// Minimum interval between progress messages (ms)
+const PROGRESS_INTERVAL = 100;
+
+// Bump when the search index layout changes so cached indexes are rebuilt
+const SEARCH_INDEX_VERSION = 1;
+
+// Length of the n-grams in the search index
+const GRAM_SIZE = 3;
+
+// Downloads tested between checks for cancellation while searching
+const SEARCH_CHUNK_SIZE = 20000;
+
+// Fuzzy searches only scan for typo matches when the exact search finds fewer results
+const FUZZY_SCAN_THRESHOLD = 20;
+
+// Last indexed listing, which searches run against
+let listing = null; // { downloads, searchIndex, gramLookup }
+const cancelledRequests = new Set();
+
+self.addEventListener('message', async (e) => {
+    const { id, type } = e.data;
+
+    if (type === 'cancel') {
+        cancelledRequests.add(id);
+        return;
+    }
+    if (type === 'configure') {
+        setFileTypeConfig(e.data.fileTypes);
+        setVisibilityConfig(e.data.visibility);
+        return;
+    }
+
+    try {
+        if (type === 'search') {
+            const matches = await searchListing(e.data.query, e.data.fuzzy, () => cancelledRequests.has(id));
+            if (matches) {
+                self.postMessage({ id, type: 'done', matches }, [matches.buffer]);
+            }
+            return;
+        }
+
+        let downloads;
+        let searchIndex = null;
+        switch (type) {
+            case 'fetch':
+                downloads = await fetchListing(e.data, (loaded, total) => {
+                    self.postMessage({ id, type: 'progress', loaded, total });
+                });
+                break;
+            case 'index':
+                downloads = e.data.downloads;
+                searchIndex = e.data.searchIndex;
+                break;
+            default:
+                throw new Error(`Unknown worker request: ${type}`);
+        }
+
+        // Hidden blobs never reach the folder tree, search or counts (see visibility.js)
+        downloads = downloads.filter(isBlobVisible);
+        const { folderTree, fileTypeCache } = buildIndexes(downloads);
+
+        const reuseIndex = isSearchIndexValid(searchIndex, downloads);
+        if (!reuseIndex) {
+            searchIndex = buildSearchIndex(downloads);
+        }
+        setListing(downloads, searchIndex);
+
+        self.postMessage({ id, type: 'done', downloads, folderTree, fileTypeCache, searchIndex: reuseIndex ? null : searchIndex });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    } finally {
+        cancelledRequests.delete(id);
+    }
+});
+
+// Compact listing versions this worker can decode (see LISTING_FORMATS in app.js)
+const COMPACT_FORMAT_VERSIONS = [1];
+
+// Fetch a listing and parse it item by item as the bytes arrive
+async function fetchListing({ url, format = 'legacy', expectedBytes, downloadBase }, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    // Content-Length is the on-the-wire size; when nginx serves the pre-compressed
+    // .gz the stream yields decompressed bytes, so prefer the size from metadata.json
+    const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10);
+    const isEncoded = !!response.headers.get('Content-Encoding');
+    const total = (isEncoded || !contentLength) ? (expectedBytes || 0) : contentLength;
+
+    const downloads = [];
+    const parser = format === 'compact'
+        ? createLineParser(createCompactDecoder(downloadBase, item => downloads.push(item)))
+        : createArrayParser(item => downloads.push(item));
+    const decoder = new TextDecoder();
+    const reader = response.body.getReader();
+    let loaded = 0;
+    let lastProgress = 0;
+
+    onProgress(0, total);
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        loaded += value.byteLength;
+        parser.write(decoder.decode(value, { stream: true }));
+
+        const now = Date.now();
+        if (now - lastProgress >= PROGRESS_INTERVAL) {
+            lastProgress = now;
+            onProgress(loaded, Math.max(total, loaded));
+        }
+    }
+
+    parser.write(decoder.decode());
+    parser.end();
+    onProgress(loaded, loaded);
+
+    return downloads;
+}
+
+// Incremental parser for a top-level JSON array of objects.
+// Each complete element is handed to onItem as soon as its closing brace arrives,
+// so memory holds at most one partial element of unparsed text.
+function createArrayParser(onItem) {
+    let buffer = '';
+    let pos = 0;          // Next character in buffer to scan
+    let depth = 0;        // Nesting depth (1 = inside the top-level array)
+    let inString = false;
+    let escaped = false;
+    let itemStart = -1;   // Buffer offset where the current element started
+
+    return {
+        write(chunk) {
+            buffer += chunk;
+
+            for (; pos < buffer.length; pos++) {
+                const ch = buffer[pos];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (ch === '\\') {
+                        escaped = true;
+                    } else if (ch === '"') {
+                        inString = false;
+                    }
+                    continue;
+                }
+
+                if (ch === '"') {
+                    inString = true;
+                } else if (ch === '{' || ch === '[') {
+                    if (depth === 1 && ch === '{') itemStart = pos;
+                    depth++;
+                } else if (ch === '}' || ch === ']') {
+                    depth--;
+                    if (depth === 1 && ch === '}') {
+                        onItem(JSON.parse(buffer.slice(itemStart, pos + 1)));
+                        itemStart = -1;
+                    }
+                }
+            }
+
+            // Drop everything that has been fully consumed
+            const keepFrom = itemStart >= 0 ? itemStart : pos;
+            if (keepFrom > 0) {
+                buffer = buffer.slice(keepFrom);
+                pos -= keepFrom;
+                if (itemStart >= 0) itemStart = 0;
+            }
+        },
+
+        end() {
+            if (depth !== 0 || inString) {
+                throw new Error('Unexpected end of JSON data');
+            }
+        }
+    };
+}
+
+// Incremental parser for newline-delimited text; hands each non-empty line to onLine
+function createLineParser(onLine) {
+    let buffer = '';
+
+    return {
+        write(chunk) {
+            buffer += chunk;
+            let start = 0;
+            let newline;
+            while ((newline = buffer.indexOf('\n', start)) !== -1) {
+                const line = buffer.slice(start, newline);
+                if (line.trim()) onLine(line);
+                start = newline + 1;
+            }
+            buffer = buffer.slice(start);
+        },
+
+        end() {
+            if (buffer.trim()) onLine(buffer);
+            buffer = '';
+        }
+    };
+}
+
+// Decode lines of the compact listing format (see scripts/fetch_blobs.py) into download objects
+// The first line is a header with interned folder prefixes and content types;
+// each following line is [prefix index, file name, length, last modified (epoch s), content type index,
+// Content-MD5, ETag] - the last two are missing from listings written before they were added
+function createCompactDecoder(fallbackDownloadBase, onItem) {
+    let header = null;
+    let downloadBase = '';
+
+    return (line) => {
+        const value = JSON.parse(line);
+
+        if (!header) {
+            if (value.format !== 'compact' || !COMPACT_FORMAT_VERSIONS.includes(value.version)) {
+                throw new Error(`Unsupported listing format: ${value.format} v${value.version}`);
+            }
+            header = value;
+            downloadBase = (header.downloadBase || fallbackDownloadBase || '').replace(/\/$/, '');
+            return;
+        }
+
+        const [prefixIndex, fileName, length, lastModified, typeIndex, contentMd5 = '', etag = ''] = value;
+        const prefix = header.prefixes[prefixIndex];
+        const name = prefix ? `${prefix}/${fileName}` : fileName;
+
+        onItem({
+            Name: name,
+            Url: `${downloadBase}/${encodeBlobPath(name)}`,
+            Length: length,
+            LastModified: lastModified ? new Date(lastModified * 1000).toUTCString() : '',
+            ContentType: header.contentTypes[typeIndex] || '',
+            ContentMD5: contentMd5,
+            Etag: etag
+        });
+    };
+}
+
+// URL-encode a blob name the same way the server does (Python's quote(name, safe='/'))
+function encodeBlobPath(name) {
+    return name.split('/')
+        .map(part => encodeURIComponent(part).replace(/[!'()*]/g, ch => '%' + ch.charCodeAt(0).toString(16).toUpperCase()))
+        .join('/');
+}
+
+// Build hierarchical folder tree for O(1) navigation, and pre-cache file type info
+// Each node also carries recursive aggregates for its folder row:
+//   stats: { fileCount, totalBytes, newest (epoch ms, 0 if unknown), types: [{ name, color, count }] }
+// with types ordered by count.
+function buildIndexes(downloads) {
+    const folderTree = new Map();
+    const fileTypeCache = new Map();
+    const typeCounts = new Map(); // node -> Map(type name -> count), turned into stats.types below
+    const typeColors = new Map();
+
+    const createNode = () => {
+        const node = { folders: new Set(), files: [], stats: { fileCount: 0, totalBytes: 0, newest: 0, types: [] } };
+        typeCounts.set(node, new Map());
+        return node;
+    };
+
+    // Initialize root
+    folderTree.set('', createNode());
+
+    downloads.forEach(download => {
+        const parts = download.Name.split('/');
+
+        // Pre-cache file type info
+        const typeInfo = resolveFileType(download);
+        fileTypeCache.set(download.Url, typeInfo);
+        typeColors.set(typeInfo.name, typeInfo.color);
+
+        // Add file to its parent folder
+        const parentPath = parts.slice(0, -1).join('/');
+        if (!folderTree.has(parentPath)) {
+            folderTree.set(parentPath, createNode());
+        }
+        folderTree.get(parentPath).files.push(download);
+
+        // Build folder hierarchy
+        for (let i = 0; i < parts.length - 1; i++) {
+            const currentPath = parts.slice(0, i).join('/');
+            const childFolder = parts[i];
+            const childPath = parts.slice(0, i + 1).join('/');
+
+            if (!folderTree.has(currentPath)) {
+                folderTree.set(currentPath, createNode());
+            }
+            folderTree.get(currentPath).folders.add(childFolder);
+
+            if (!folderTree.has(childPath)) {
+                folderTree.set(childPath, createNode());
+            }
+        }
+
+        // Count the file in every folder above it
+        const modified = Date.parse(download.LastModified) || 0;
+        for (let i = 0; i < parts.length; i++) {
+            const node = folderTree.get(parts.slice(0, i).join('/'));
+            const { stats } = node;
+            stats.fileCount++;
+            stats.totalBytes += download.Length;
+            if (modified > stats.newest) stats.newest = modified;
+            const counts = typeCounts.get(node);
+            counts.set(typeInfo.name, (counts.get(typeInfo.name) || 0) + 1);
+        }
+    });
+
+    typeCounts.forEach((counts, node) => {
+        node.stats.types = Array.from(counts, ([name, count]) => ({ name, color: typeColors.get(name), count }))
+            .sort((a, b) => b.count - a.count);
+    });
+
+    return { folderTree, fileTypeCache };
+}
+
+// Normalize text for the search index: lowercase with whitespace removed, matching the
+// space-insensitive comparison in createTextMatcher (search-query.js)
+function normalizeForIndex(text) {
+    return text.toLowerCase().replace(/\s/g, '');
+}
+
+// Build an n-gram index over download paths
+// Stored compactly so it can be cached in IndexedDB: postings for grams[k] are
+// postings[offsets[k]..offsets[k + 1]), as ascending positions in `downloads`.
+function buildSearchIndex(downloads) {
+    const postingsByGram = new Map();
+    let total = 0;
+
+    downloads.forEach((download, position) => {
+        const text = normalizeForIndex(download.Name);
+        const seen = new Set();
+        for (let i = 0; i + GRAM_SIZE <= text.length; i++) {
+            const gram = text.slice(i, i + GRAM_SIZE);
+            if (seen.has(gram)) continue;
+            seen.add(gram);
+
+            let postings = postingsByGram.get(gram);
+            if (!postings) {
+                postings = [];
+                postingsByGram.set(gram, postings);
+            }
+            postings.push(position);
+            total++;
+        }
+    });
+
+    const grams = Array.from(postingsByGram.keys());
+    const offsets = new Uint32Array(grams.length + 1);
+    const postings = new Uint32Array(total);
+    let offset = 0;
+    grams.forEach((gram, k) => {
+        offsets[k] = offset;
+        postings.set(postingsByGram.get(gram), offset);
+        offset += postingsByGram.get(gram).length;
+    });
+    offsets[grams.length] = offset;
+
+    return { version: SEARCH_INDEX_VERSION, count: downloads.length, grams, offsets, postings };
+}
+
+function isSearchIndexValid(searchIndex, downloads) {
+    return !!searchIndex && searchIndex.version === SEARCH_INDEX_VERSION && searchIndex.count === downloads.length;
+}
+
+function setListing(downloads, searchIndex) {
+    const gramLookup = new Map();
+    searchIndex.grams.forEach((gram, k) => gramLookup.set(gram, k));
+    listing = { downloads, searchIndex, gramLookup };
+}
+
+// Positions that may match a literal: those whose path contains all of its grams
+// Returns null when the literal is too short to narrow anything.
+function literalCandidates(literal) {
+    if (literal.length < GRAM_SIZE) return null;
+
+    const { searchIndex, gramLookup } = listing;
+    const lists = [];
+    for (let i = 0; i + GRAM_SIZE <= literal.length; i++) {
+        const k = gramLookup.get(literal.slice(i, i + GRAM_SIZE));
+        if (k === undefined) return new Uint32Array(0);
+        lists.push(searchIndex.postings.subarray(searchIndex.offsets[k], searchIndex.offsets[k + 1]));
+    }
+
+    // Intersect, smallest list first
+    lists.sort((a, b) => a.length - b.length);
+    return lists.reduce(intersectSorted);
+}
+
+// Intersect two ascending position lists
+function intersectSorted(a, b) {
+    const result = new Uint32Array(Math.min(a.length, b.length));
+    let count = 0;
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] < b[j]) {
+            i++;
+        } else if (a[i] > b[j]) {
+            j++;
+        } else {
+            result[count++] = a[i];
+            i++;
+            j++;
+        }
+    }
+    return result.subarray(0, count);
+}
+
+// Candidate positions for a query (ascending), or null when every download is a candidate
+function searchCandidates(query) {
+    const literalGroups = getSearchQueryLiterals(query);
+    if (!literalGroups) return null;
+
+    const union = new Set();
+    for (const literals of literalGroups) {
+        const lists = literals.map(literalCandidates).filter(list => list !== null);
+        if (lists.length === 0) return null; // Nothing long enough to narrow this group
+
+        lists.sort((a, b) => a.length - b.length);
+        lists.reduce(intersectSorted).forEach(position => union.add(position));
+    }
+
+    return Uint32Array.from(union).sort();
+}
+
+// Run a query against the current listing, narrowing with the index and then applying
+// the full predicate. With `fuzzy`, a query with few exact results is re-run over the
+// whole listing with typo tolerance (the index can't narrow a misspelt term).
+// Returns null when cancelled.
+async function searchListing(query, fuzzy, isCancelled) {
+    if (!listing) {
+        throw new Error('No listing loaded');
+    }
+
+    const { test } = compileSearchQuery(query, resolveFileType);
+    const matches = await filterPositions(test, searchCandidates(query), isCancelled);
+    if (!matches || !fuzzy || matches.length >= FUZZY_SCAN_THRESHOLD) {
+        return matches;
+    }
+
+    const fuzzyQuery = compileSearchQuery(query, resolveFileType, { fuzzy: true });
+    return filterPositions(fuzzyQuery.test, null, isCancelled);
+}
+
+// Positions (ascending) of the candidates - or of every download when null - that pass `test`.
+// Yields between chunks so a cancel message can stop it early; returns null when cancelled.
+async function filterPositions(test, candidates, isCancelled) {
+    const { downloads } = listing;
+    const total = candidates ? candidates.length : downloads.length;
+    const matches = new Uint32Array(total);
+    let count = 0;
+
+    for (let start = 0; start < total; start += SEARCH_CHUNK_SIZE) {
+        if (start > 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) return null;
+        }
+
+        const end = Math.min(start + SEARCH_CHUNK_SIZE, total);
+        for (let i = start; i < end; i++) {
+            const position = candidates ? candidates[i] : i;
+            if (test(downloads[position])) {
+                matches[count++] = position;
+            }
+        }
+    }
+
+    return isCancelled() ? null : matches.slice(0, count);
+}
@@ -0,0 +1,149 @@
+// File type registry shared by the page (app.js) and the data worker (data-worker.js).
+// Loaded as a classic script in both contexts, so everything here is a plain global.
+
+// Material Design style SVG icons
+const FILE_TYPE_ICONS = {
+    pdf: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 7V3.5L18.5 9H13zm-2.5 5.5c0 .83-.67 1.5-1.5 1.5h-1v2H7v-6h2.5c.83 0 1.5.67 1.5 1.5v1zm5 2c0 .83-.67 1.5-1.5 1.5h-2.5v-6H15c.83 0 1.5.67 1.5 1.5v3zm4-3h-1.5v1h1.5v1h-1.5v2H18v-6h2.5v1.5z"/></svg>',
+    zip: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M20 6h-8l-2-2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm-6 10h-2v2h-2v-2H8v-2h2v-2h2v2h2v2zm0-6h-2V8h-2v2H8V8h2V6h2v2h2v2z"/></svg>',
+    web: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/></svg>',
+    txt: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11zm-9-4h4v2H9v-2zm0-6h6v2H9V10zm0 3h6v2H9v-2z"/></svg>',
+    installer: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M4 4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2H4zm0 2h16v2H4V6zm0 4h16v10H4V10z"/><path d="M12 11v5m0 0l-3-3m3 3l3-3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/></svg>',
+    iso: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm0-12.5c-2.49 0-4.5 2.01-4.5 4.5s2.01 4.5 4.5 4.5 4.5-2.01 4.5-4.5-2.01-4.5-4.5-4.5zm0 5.5c-.55 0-1-.45-1-1s.45-1 1-1 1 .45 1 1-.45 1-1 1z"/></svg>',
+    xml: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 2l5 5h-5V4zM6 20V4h6v6h6v10H6z"/><rect x="5.5" y="12" width="13" height="6" rx="1" fill="none" stroke="currentColor" stroke-width="1.5"/><text x="12" y="16.5" font-size="5" font-family="Arial, sans-serif" font-weight="bold" text-anchor="middle" fill="currentColor">XML</text></svg>',
+    json: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M9.5 12.5c0-.83-.67-1.5-1.5-1.5v-1c1.38 0 2.5 1.12 2.5 2.5V14h-1v-1.5zm5 0V14h-1v-1.5c0-1.38 1.12-2.5 2.5-2.5v1c-.83 0-1.5.67-1.5 1.5z"/></svg>',
+    dll: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M9 13h6v2H9z"/></svg>',
+    cert: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm0 10.99h7c-.53 4.12-3.28 7.79-7 8.94V12H5V6.3l7-3.11v8.8z"/></svg>',
+    image: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>',
+    word: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/><path d="M7 15l1.5-6h1.2l1.3 4 1.3-4h1.2l1.5 6h-1.3l-.9-3.7-1.2 3.7h-1.2l-1.2-3.7-.9 3.7H7z"/></svg>',
+    database: '<svg viewBox="0 0 24 24" fill="currentColor"><ellipse cx="12" cy="5" rx="8" ry="3"/><path d="M4 5v6c0 1.66 3.58 3 8 3s8-1.34 8-3V5c0 1.66-3.58 3-8 3S4 6.66 4 5z"/><path d="M4 11v6c0 1.66 3.58 3 8 3s8-1.34 8-3v-6c0 1.66-3.58 3-8 3s-8-1.34-8-3z"/></svg>',
+    file: '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/></svg>'
+};
+
+const FILE_TYPE_MAP = {
+    'pdf': { icon: FILE_TYPE_ICONS.pdf, name: 'PDF', color: '#d32f2f' },
+    'zip': { icon: FILE_TYPE_ICONS.zip, name: 'ZIP', color: '#ff9800' },
+    'htm': { icon: FILE_TYPE_ICONS.web, name: 'HTML', color: '#1976d2' },
+    'html': { icon: FILE_TYPE_ICONS.web, name: 'HTML', color: '#1976d2' },
+    'txt': { icon: FILE_TYPE_ICONS.txt, name: 'Text', color: '#666' },
+    'exe': { icon: FILE_TYPE_ICONS.installer, name: 'Installer', color: '#00897b' },
+    'msi': { icon: FILE_TYPE_ICONS.installer, name: 'Installer', color: '#00897b' },
+    'iso': { icon: FILE_TYPE_ICONS.iso, name: 'ISO', color: '#5e35b1' },
+    'xml': { icon: FILE_TYPE_ICONS.xml, name: 'XML', color: '#f57c00' },
+    'json': { icon: FILE_TYPE_ICONS.json, name: 'JSON', color: '#388e3c' },
+    'dll': { icon: FILE_TYPE_ICONS.dll, name: 'DLL', color: '#455a64' },
+    'cer': { icon: FILE_TYPE_ICONS.cert, name: 'Certificate', color: '#c62828' },
+    'jpg': { icon: FILE_TYPE_ICONS.image, name: 'Image', color: '#e91e63' },
+    'jpeg': { icon: FILE_TYPE_ICONS.image, name: 'Image', color: '#e91e63' },
+    'png': { icon: FILE_TYPE_ICONS.image, name: 'Image', color: '#e91e63' },
+    'gif': { icon: FILE_TYPE_ICONS.image, name: 'Image', color: '#e91e63' },
+    'doc': { icon: FILE_TYPE_ICONS.word, name: 'Word', color: '#1565c0' },
+    'docx': { icon: FILE_TYPE_ICONS.word, name: 'Word', color: '#1565c0' },
+    'db': { icon: FILE_TYPE_ICONS.database, name: 'Database', color: '#6d4c41' },
+};
+
+// Built-in types by Content-Type, for files whose extension is missing or unknown
+// ('type/*' matches a whole family)
+const CONTENT_TYPE_MAP = new Map([
+    ['application/pdf', 'pdf'],
+    ['application/zip', 'zip'],
+    ['application/x-zip-compressed', 'zip'],
+    ['text/html', 'html'],
+    ['text/plain', 'txt'],
+    ['application/json', 'json'],
+    ['application/xml', 'xml'],
+    ['text/xml', 'xml'],
+    ['application/x-msdownload', 'exe'],
+    ['application/x-msi', 'msi'],
+    ['application/x-iso9660-image', 'iso'],
+    ['application/msword', 'doc'],
+    ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'docx'],
+    ['image/*', 'png']
+]);
+
+// Escape text for use in HTML templates (shared with app.js; config values end up in markup)
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Categories from the fileTypes section of config.json, checked before the built-in types
+let configuredFileTypes = { byExtension: new Map(), byContentType: new Map() };
+
+// Install the configured categories. The page passes APP_CONFIG.fileTypes (below) and
+// forwards the same list to the data worker, which has no access to config.js.
+// Each category: { name, extensions: ['tar.gz', 'tgz'], contentTypes: ['application/gzip'],
+// color, icon (a built-in icon name), iconUrl (an icon file copied from /config) }
+function setFileTypeConfig(categories) {
+    configuredFileTypes = { byExtension: new Map(), byContentType: new Map() };
+
+    (categories || []).forEach(category => {
+        if (!category || !category.name) return;
+
+        const icon = category.iconUrl
+            ? `<img class="file-type-icon" src="${escapeHtml(category.iconUrl)}" alt="">`
+            : FILE_TYPE_ICONS[category.icon] || FILE_TYPE_ICONS.file;
+        const info = { icon, name: category.name, color: category.color || '#757575' };
+
+        // Earlier categories win when an extension or content type is listed twice
+        (category.extensions || []).forEach(ext => {
+            const key = String(ext).toLowerCase().replace(/^\./, '');
+            if (key && !configuredFileTypes.byExtension.has(key)) configuredFileTypes.byExtension.set(key, info);
+        });
+        (category.contentTypes || []).forEach(type => {
+            const key = String(type).toLowerCase();
+            if (key && !configuredFileTypes.byContentType.has(key)) configuredFileTypes.byContentType.set(key, info);
+        });
+    });
+}
+
+if (typeof window !== 'undefined' && window.APP_CONFIG) {
+    setFileTypeConfig(window.APP_CONFIG.fileTypes);
+}
+
+// Get file extension from URL
+function getFileExtension(url) {
+    const match = url.match(/\.([^./?#]+)(?:[?#]|$)/);
+    return match ? match[1].toLowerCase() : 'unknown';
+}
+
+// Every dotted suffix of a file name, longest first: "app.tar.gz" -> ["tar.gz", "gz"]
+// A leading dot (".env") doesn't start an extension.
+function getFileExtensions(fileName) {
+    const parts = fileName.toLowerCase().split('.');
+    const extensions = [];
+    for (let i = parts[0] === '' ? 2 : 1; i < parts.length; i++) {
+        const ext = parts.slice(i).join('.');
+        if (ext) extensions.push(ext);
+    }
+    return extensions;
+}
+
+// Look up a Content-Type in a map keyed by exact type or 'family/*'
+function lookupContentType(map, contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type) return undefined;
+    return map.get(type) || map.get(type.split('/')[0] + '/*');
+}
+
+// Resolve the display name, icon and color for a download (uncached)
+// Order: configured extensions (longest suffix first), built-in extensions, then the
+// Content-Type (configured, then built-in) when the extension is missing or unknown.
+function resolveFileType(download) {
+    const fileName = download.Name.slice(download.Name.lastIndexOf('/') + 1);
+    const extensions = getFileExtensions(fileName);
+
+    for (const ext of extensions) {
+        const configured = configuredFileTypes.byExtension.get(ext);
+        if (configured) return configured;
+    }
+
+    const ext = extensions.length > 0 ? extensions[extensions.length - 1] : getFileExtension(download.Url);
+    if (FILE_TYPE_MAP[ext]) return FILE_TYPE_MAP[ext];
+
+    const byContentType = lookupContentType(configuredFileTypes.byContentType, download.ContentType) ||
+        FILE_TYPE_MAP[lookupContentType(CONTENT_TYPE_MAP, download.ContentType)];
+    if (byContentType) return byContentType;
+
+    return { icon: FILE_TYPE_ICONS.file, name: ext.toUpperCase(), color: '#757575' };
+}
@@ -0,0 +1,204 @@
+// Hash worker - computes the MD5 and SHA-256 of a local file for "Verify a local file" (app.js).
+//
+// The file is read a chunk at a time, so files of any size hash without being
+// held in memory (crypto.subtle can only digest a whole buffer at once).
+//
+// Request:  { file }
+// Replies:  { type: 'progress', loaded, total }
+//           { type: 'done', md5, sha256 }   - lowercase hex digests
+//           { type: 'error', message }
+// The page terminates the worker to cancel.
+
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Minimum interval between progress messages (ms)
+const PROGRESS_INTERVAL = 100;
+
+// Shared 64-byte block buffering and padding for MD5 and SHA-256
+class BlockHash {
+    constructor(littleEndian) {
+        this.littleEndian = littleEndian; // Byte order of the words and of the length in the padding
+        this.block = new Uint8Array(64);
+        this.blockLength = 0;
+        this.length = 0; // Bytes hashed so far
+    }
+
+    update(bytes) {
+        let offset = 0;
+        this.length += bytes.length;
+
+        // Top up a partial block first, then hash whole blocks straight from the input
+        if (this.blockLength > 0) {
+            const take = Math.min(64 - this.blockLength, bytes.length);
+            this.block.set(bytes.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            offset = take;
+            if (this.blockLength < 64) return;
+            this.processBlock(this.block, 0);
+            this.blockLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this.processBlock(bytes, offset);
+        }
+        this.block.set(bytes.subarray(offset), 0);
+        this.blockLength = bytes.length - offset;
+    }
+
+    // Pad with 0x80, zeros and the length in bits, then return the state as hex
+    digest() {
+        const bits = this.length * 8;
+        const padding = new Uint8Array((this.blockLength < 56 ? 56 : 120) - this.blockLength + 8);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        const low = bits % 0x100000000;
+        const high = Math.floor(bits / 0x100000000);
+        view.setUint32(padding.length - (this.littleEndian ? 8 : 4), low, this.littleEndian);
+        view.setUint32(padding.length - (this.littleEndian ? 4 : 8), high, this.littleEndian);
+        this.update(padding);
+
+        const out = new DataView(new ArrayBuffer(this.state.length * 4));
+        this.state.forEach((word, i) => out.setInt32(i * 4, word, this.littleEndian));
+        return Array.from(new Uint8Array(out.buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// MD5 (RFC 1321)
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_CONSTANTS = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+class Md5 extends BlockHash {
+    constructor() {
+        super(true);
+        this.state = new Int32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476]);
+        this.words = new Int32Array(16);
+    }
+
+    processBlock(bytes, offset) {
+        const x = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            x[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+        }
+
+        let [a, b, c, d] = this.state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+            const sum = (a + f + MD5_CONSTANTS[i] + x[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+        }
+
+        const state = this.state;
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+    }
+}
+
+// SHA-256 (FIPS 180-4)
+const SHA256_CONSTANTS = new Int32Array([
+    0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+    0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+    0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+    0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+    0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+    0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+    0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+    0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+]);
+
+class Sha256 extends BlockHash {
+    constructor() {
+        super(false);
+        this.state = new Int32Array([
+            0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+        ]);
+        this.words = new Int32Array(64);
+    }
+
+    processBlock(bytes, offset) {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = w[i - 15];
+            const w2 = w[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = this.state;
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_CONSTANTS[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        const state = this.state;
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
+
+self.addEventListener('message', async (e) => {
+    const { file } = e.data;
+    const md5 = new Md5();
+    const sha256 = new Sha256();
+    let lastProgress = 0;
+
+    try {
+        for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+            const chunk = new Uint8Array(await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer());
+            md5.update(chunk);
+            sha256.update(chunk);
+
+            const now = Date.now();
+            if (now - lastProgress >= PROGRESS_INTERVAL) {
+                lastProgress = now;
+                self.postMessage({ type: 'progress', loaded: offset + chunk.length, total: file.size });
+            }
+        }
+        self.postMessage({ type: 'done', md5: md5.digest(), sha256: sha256.digest() });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
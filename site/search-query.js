@@ -0,0 +1,549 @@
+// Search query language shared by the page (app.js) and the data worker (data-worker.js).
+// Loaded as a classic script in both contexts, so everything here is a plain global.
+//
+// A query is a list of terms that must all match, optionally split into
+// alternatives with OR:
+//   setup                  - path contains "setup" (wildcards * and ? allowed)
+//   "release notes"        - path contains the exact phrase
+//   -beta                  - negation: path must not contain "beta"
+//   name:setup*.exe        - match against the file name only
+//   path:releases/         - match against the full path
+//   ext:msi                - file extension (any dotted suffix, so ext:tar.gz works too)
+//   type:Installer         - file type name (as shown in the File Types filter)
+//   size:>500MB            - size comparison (>, >=, <, <=, =) or range (100MB..1GB)
+//   modified:>=2025-01-01  - date comparison or range; YYYY, YYYY-MM or YYYY-MM-DD
+//   a b OR c               - (a AND b) OR c
+// A query starting with / or ^ is a regular expression matched against the full path.
+//
+// In fuzzy mode (relevance sort) plain terms also match file names with small typos
+// or with the term's letters in order; see the Relevance section below.
+
+const SEARCH_FIELDS = ['name', 'path', 'ext', 'type', 'size', 'modified'];
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+
+// Convert a wildcard pattern (* and ?) to a case-insensitive regex
+function wildcardToRegex(pattern) {
+    // Escape special regex characters except * and ?
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    // Convert * to .* and ? to .
+    const regexPattern = escaped.replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(regexPattern, 'i');
+}
+
+// Build a matcher for a plain search term (lowercase text in, boolean out)
+// Supports regex (/ or ^ prefix), wildcards, and space-insensitive substring matching.
+function createTextMatcher(searchTerm) {
+    // Regex search: patterns starting with / or ^ are treated as regex
+    const isRegex = searchTerm.startsWith('/') || searchTerm.startsWith('^');
+
+    if (isRegex) {
+        try {
+            // Remove leading / if present (^ should be kept as it's part of the regex)
+            const regexPattern = searchTerm.startsWith('/') ? searchTerm.slice(1) : searchTerm;
+            const regex = new RegExp(regexPattern, 'i');
+            return text => regex.test(text);
+        } catch (e) {
+            // Invalid regex, fall back to literal search
+            return text => text.includes(searchTerm);
+        }
+    }
+
+    const hasWildcard = searchTerm.includes('*') || searchTerm.includes('?');
+
+    if (hasWildcard) {
+        const regex = wildcardToRegex(searchTerm);
+        return text => regex.test(text);
+    }
+
+    // Regular search with space-insensitive matching
+    const searchTermNoSpaces = searchTerm.replace(/\s/g, '');
+    return text => text.includes(searchTerm) || text.replace(/\s/g, '').includes(searchTermNoSpaces);
+}
+
+// Check a search term against text (both expected lowercase)
+function matchesSearch(text, searchTerm) {
+    return createTextMatcher(searchTerm)(text);
+}
+
+// Split a query into tokens: { text, quoted, negated, field, isOr }
+function tokenizeSearchQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let negated = false;
+        if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            negated = true;
+            i++;
+        }
+
+        // Read up to the next unquoted whitespace; quotes may wrap the whole term or a field's value
+        let raw = '';
+        let quoted = false;
+        while (i < query.length && !/\s/.test(query[i])) {
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new SyntaxError(`Missing closing quote after ${query.slice(start)}`);
+                }
+                raw += query.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+            } else {
+                raw += query[i++];
+            }
+        }
+
+        const source = query.slice(start, i);
+
+        if (!negated && !quoted && raw === 'OR') {
+            tokens.push({ isOr: true, source });
+            continue;
+        }
+
+        // field:value (a quoted term such as "a:b" is plain text)
+        const fieldMatch = query[negated ? start + 1 : start] !== '"' && raw.match(/^([a-z]+):(.*)$/i);
+        if (fieldMatch) {
+            const field = fieldMatch[1].toLowerCase();
+            if (!SEARCH_FIELDS.includes(field)) {
+                throw new SyntaxError(`Unknown field "${fieldMatch[1]}:" (use quotes to search for text containing ":")`);
+            }
+            if (!fieldMatch[2]) {
+                throw new SyntaxError(`Missing value after ${field}:`);
+            }
+            tokens.push({ field, text: fieldMatch[2], quoted, negated, source });
+        } else {
+            if (!raw) {
+                throw new SyntaxError('Empty quotes');
+            }
+            tokens.push({ field: null, text: raw, quoted, negated, source });
+        }
+    }
+
+    return tokens;
+}
+
+// Split a comparison value such as ">=500MB" into { op, value }, or "100MB..1GB" into { op: '..', from, to }
+function splitComparison(value) {
+    const range = value.match(/^(.*)\.\.(.*)$/);
+    if (range) {
+        return { op: '..', from: range[1], to: range[2] };
+    }
+    const match = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    return { op: match[1] || '=', value: match[2] };
+}
+
+// Parse a size such as "500MB" or "1.5g" into bytes
+function parseSize(text) {
+    const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    const unit = match ? (match[2] || 'b').toLowerCase() : null;
+    if (!match || !SIZE_UNITS[unit]) {
+        throw new SyntaxError(`Invalid size "${text}" (try 500MB or 1.5GB)`);
+    }
+    return parseFloat(match[1]) * SIZE_UNITS[unit];
+}
+
+// Parse a date such as "2025", "2025-03" or "2025-03-14" into the [start, end) period it covers (local time)
+function parseDatePeriod(text) {
+    const match = text.trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+        throw new SyntaxError(`Invalid date "${text}" (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+
+    if ((month !== null && (month < 0 || month > 11)) || (day !== null && (day < 1 || day > 31))) {
+        throw new SyntaxError(`Invalid date "${text}"`);
+    }
+
+    if (day !== null) {
+        return { start: new Date(year, month, day).getTime(), end: new Date(year, month, day + 1).getTime() };
+    }
+    if (month !== null) {
+        return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+    }
+    return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+}
+
+// Build a numeric test for size: values
+function createSizeTest(value) {
+    const comparison = splitComparison(value);
+
+    if (comparison.op === '..') {
+        const min = comparison.from ? parseSize(comparison.from) : -Infinity;
+        const max = comparison.to ? parseSize(comparison.to) : Infinity;
+        return size => size >= min && size <= max;
+    }
+
+    const bytes = parseSize(comparison.value);
+    switch (comparison.op) {
+        case '>': return size => size > bytes;
+        case '>=': return size => size >= bytes;
+        case '<': return size => size < bytes;
+        case '<=': return size => size <= bytes;
+        // Equality is as precise as the value was written (size:2GB matches 1.5GB up to 2.5GB, size:2.0GB 1.95GB up to 2.05GB)
+        default: {
+            const [, decimals = '', unit = 'b'] = comparison.value.trim().match(/^\d+(?:\.(\d+))?\s*([a-z]*)$/i);
+            const tolerance = SIZE_UNITS[unit.toLowerCase() || 'b'] * Math.pow(10, -decimals.length) / 2;
+            return size => Math.abs(size - bytes) < tolerance || size === bytes;
+        }
+    }
+}
+
+// Build a timestamp test for modified: values; comparisons apply to the whole period written
+function createDateTest(value) {
+    const comparison = splitComparison(value);
+
+    if (comparison.op === '..') {
+        const min = comparison.from ? parseDatePeriod(comparison.from).start : -Infinity;
+        const max = comparison.to ? parseDatePeriod(comparison.to).end : Infinity;
+        return time => time >= min && time < max;
+    }
+
+    const { start, end } = parseDatePeriod(comparison.value);
+    switch (comparison.op) {
+        case '>': return time => time >= end;
+        case '>=': return time => time >= start;
+        case '<': return time => time < start;
+        case '<=': return time => time < end;
+        default: return time => time >= start && time < end;
+    }
+}
+
+// Whether a plain term can be matched fuzzily (no wildcards, regex or quotes)
+function isFuzzyTerm(token) {
+    const text = token.text;
+    return !token.quoted && !token.negated && (!token.field || token.field === 'name' || token.field === 'path') &&
+        text.length >= FUZZY_MIN_LENGTH && !/[*?]/.test(text) && !text.startsWith('/') && !text.startsWith('^');
+}
+
+// Build the test for one token; each test takes a lazily-populated view of a download
+// With `fuzzy`, plain terms also accept typo and subsequence matches in the file name.
+function createTermTest(token, fuzzy = false) {
+    const text = token.text.toLowerCase();
+    
+    if (fuzzy && isFuzzyTerm(token)) {
+        const exact = createTermTest(token);
+        return view => exact(view) || findFuzzyMatch(text, view.name()) !== null;
+    }
+
+    switch (token.field) {
+        case 'name': {
+            const matches = token.quoted ? (value => value.includes(text)) : createTextMatcher(text);
+            return view => matches(view.name());
+        }
+        case 'ext': {
+            const ext = text.replace(/^\./, '');
+            const pattern = new RegExp(`^${wildcardToRegex(ext).source}$`, 'i');
+            const matches = ext.includes('*') || ext.includes('?')
+                ? (value => pattern.test(value))
+                : (value => value === ext);
+            return view => view.ext().some(matches);
+        }
+        case 'type':
+            return view => view.type().toLowerCase() === text;
+        case 'size': {
+            const test = createSizeTest(token.text);
+            return view => test(view.download.Length);
+        }
+        case 'modified': {
+            const test = createDateTest(token.text);
+            return view => test(view.modified());
+        }
+        default: {
+            // path: and bare terms match the full path
+            const matches = token.quoted ? (value => value.includes(text)) : createTextMatcher(text);
+            return view => matches(view.path());
+        }
+    }
+}
+
+// Parse a query into OR'ed groups of AND'ed tokens (throws SyntaxError)
+function parseSearchGroups(query) {
+    const trimmed = query.trim();
+
+    // Legacy regex search applies to the whole query
+    if (trimmed.startsWith('/') || trimmed.startsWith('^')) {
+        return [[{ field: null, text: trimmed, quoted: false, negated: false }]];
+    }
+
+    const groups = [[]];
+    tokenizeSearchQuery(trimmed).forEach(token => {
+        if (token.isOr) {
+            if (groups[groups.length - 1].length === 0) {
+                throw new SyntaxError('OR needs a search term on each side');
+            }
+            groups.push([]);
+        } else {
+            groups[groups.length - 1].push(token);
+        }
+    });
+    if (groups.length > 1 && groups[groups.length - 1].length === 0) {
+        throw new SyntaxError('OR needs a search term on each side');
+    }
+    return groups;
+}
+
+// Parse a query into a predicate over downloads
+// `getTypeInfo(download)` supplies the file type for type: terms; `fuzzy` enables typo tolerance.
+// Returns { test, error }; on a syntax error the whole query falls back to a plain path search.
+function compileSearchQuery(query, getTypeInfo, { fuzzy = false } = {}) {
+    let groups;
+    let error = null;
+
+    try {
+        groups = parseSearchGroups(query).map(tokens => tokens.map(token => {
+            const test = createTermTest(token, fuzzy);
+            return token.negated ? view => !test(view) : test;
+        }));
+    } catch (e) {
+        if (!(e instanceof SyntaxError)) throw e;
+        error = e.message;
+        const fallback = createTextMatcher(query.trim().toLowerCase());
+        groups = [[view => fallback(view.path())]];
+    }
+
+    const test = (download) => {
+        const view = createDownloadView(download, getTypeInfo);
+        return groups.some(tests => tests.every(termTest => termTest(view)));
+    };
+
+    return { test, error };
+}
+
+// Text every match must contain, for narrowing candidates with the search index
+// Returns one list of lowercase, whitespace-free literals per OR group, or null when
+// some group has no usable literal (so every download is a candidate).
+function getSearchQueryLiterals(query) {
+    let groups;
+    try {
+        groups = parseSearchGroups(query);
+    } catch (e) {
+        return null;
+    }
+
+    const literals = groups.map(tokens => {
+        const required = [];
+        tokens.forEach(token => {
+            // Only positive text terms on the path (name: is part of the path) constrain it
+            if (token.negated || (token.field && token.field !== 'path' && token.field !== 'name')) return;
+
+            const text = token.text.toLowerCase();
+            if (!token.quoted && (text.startsWith('/') || text.startsWith('^'))) return;
+
+            const pieces = token.quoted ? [text] : text.split(/[*?]/);
+            pieces.forEach(piece => {
+                piece = piece.replace(/\s/g, '');
+                if (piece) required.push(piece);
+            });
+        });
+        return required;
+    });
+
+    return literals.every(required => required.length > 0) ? literals : null;
+}
+
+// Per-download values used by term tests, computed at most once and only when needed
+function createDownloadView(download, getTypeInfo) {
+    let path, name, ext, type, modified;
+    // Every dotted suffix of the file name ("tar.gz" and "gz"), or the URL's for names without one
+    return {
+        download,
+        path: () => path !== undefined ? path : (path = download.Name.toLowerCase()),
+        name: () => name !== undefined ? name : (name = download.Name.slice(download.Name.lastIndexOf('/') + 1).toLowerCase()),
+        ext: () => {
+            if (ext === undefined) {
+                const extensions = getFileExtensions(download.Name.slice(download.Name.lastIndexOf('/') + 1));
+                ext = extensions.length > 0 ? extensions : [getFileExtension(download.Url)];
+            }
+            return ext;
+        },
+        type: () => type !== undefined ? type : (type = getTypeInfo(download).name),
+        modified: () => modified !== undefined ? modified : (modified = new Date(download.LastModified).getTime())
+    };
+}
+
+// ============================================================================
+// Relevance
+// ============================================================================
+// Ranks results by how well the query's plain terms match each download:
+// exact file name > file name prefix > inside the file name > folder name >
+// elsewhere in the path > file name with a typo > letters in order in the file name.
+
+const RELEVANCE_SCORES = {
+    exactName: 100,
+    namePrefix: 80,
+    nameContains: 65,
+    pathSegment: 50,
+    pathContains: 40,
+    typo: 25,
+    subsequence: 15
+};
+
+// Shortest term matched with typos or as a subsequence
+const FUZZY_MIN_LENGTH = 3;
+
+// Plain text terms of a query (lowercase), used for scoring and highlighting
+function getRelevanceTerms(query) {
+    let groups;
+    try {
+        groups = parseSearchGroups(query);
+    } catch (e) {
+        return query.trim() ? [query.trim().toLowerCase()] : [];
+    }
+
+    const terms = [];
+    groups.forEach(tokens => tokens.forEach(token => {
+        if (token.negated || (token.field && token.field !== 'path' && token.field !== 'name')) return;
+        const text = token.text.toLowerCase();
+        if (!token.quoted && (text.startsWith('/') || text.startsWith('^'))) return;
+        // Wildcard terms contribute their literal pieces
+        (token.quoted ? [text] : text.split(/[*?]/)).forEach(piece => {
+            if (piece && !terms.includes(piece)) terms.push(piece);
+        });
+    }));
+    return terms;
+}
+
+// Maximum edit distance tolerated for a term of this length
+function maxTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// Edit distance (with adjacent transpositions) between a and b, or Infinity once it exceeds `limit`
+function boundedEditDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return Infinity;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length] <= limit ? prev[b.length] : Infinity;
+}
+
+// Find a word in `name` within a few typos of `term`; returns its [start, end) range or null
+function findTypoMatch(term, name) {
+    const limit = maxTypos(term);
+    if (limit === 0) return null;
+
+    const wordPattern = /[a-z0-9]+/g;
+    let match;
+    while ((match = wordPattern.exec(name)) !== null) {
+        if (boundedEditDistance(term, match[0], limit) !== Infinity) {
+            return [match.index, match.index + match[0].length];
+        }
+    }
+    return null;
+}
+
+// Find the term's characters in order in `name`, close together; returns their positions or null
+function findSubsequence(term, name) {
+    const positions = [];
+    let from = 0;
+    for (const ch of term) {
+        if (/\s/.test(ch)) continue;
+        const index = name.indexOf(ch, from);
+        if (index === -1) return null;
+        positions.push(index);
+        from = index + 1;
+    }
+    // Letters scattered across the whole name aren't a meaningful match
+    if (positions.length === 0 || positions[positions.length - 1] - positions[0] + 1 > positions.length * 2) {
+        return null;
+    }
+    return positions;
+}
+
+// Fuzzy match of a term in a (lowercase) file name: { score, positions } or null
+function findFuzzyMatch(term, name) {
+    if (term.length < FUZZY_MIN_LENGTH) return null;
+
+    const typo = findTypoMatch(term, name);
+    if (typo) {
+        const positions = [];
+        for (let i = typo[0]; i < typo[1]; i++) positions.push(i);
+        return { score: RELEVANCE_SCORES.typo, positions };
+    }
+
+    const positions = findSubsequence(term, name);
+    return positions ? { score: RELEVANCE_SCORES.subsequence, positions } : null;
+}
+
+// Score one term against a download's lowercase file name and path
+function scoreRelevanceTerm(term, name, path) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+
+    if (name === term || stem === term) return RELEVANCE_SCORES.exactName;
+    if (name.startsWith(term)) return RELEVANCE_SCORES.namePrefix;
+    if (name.includes(term)) return RELEVANCE_SCORES.nameContains;
+
+    const folders = path.split('/').slice(0, -1);
+    if (folders.some(folder => folder.startsWith(term))) return RELEVANCE_SCORES.pathSegment;
+    if (path.includes(term)) return RELEVANCE_SCORES.pathContains;
+
+    const fuzzy = findFuzzyMatch(term, name);
+    return fuzzy ? fuzzy.score : 0;
+}
+
+// Build a scorer for a query: download => relevance (higher is better)
+function createRelevanceScorer(query) {
+    const terms = getRelevanceTerms(query);
+
+    return (download) => {
+        const path = download.Name.toLowerCase();
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        return terms.reduce((score, term) => score + scoreRelevanceTerm(term, name, path), 0);
+    };
+}
+
+// Character positions in a download path to highlight for the given terms
+// Exact occurrences anywhere in the path are preferred; with `fuzzy`, a term with none
+// falls back to its fuzzy match in the file name.
+function findMatchPositions(path, terms, fuzzy = false) {
+    const lower = path.toLowerCase();
+    const nameStart = lower.lastIndexOf('/') + 1;
+    const positions = new Set();
+
+    terms.forEach(term => {
+        let found = false;
+        let index = lower.indexOf(term);
+        while (index !== -1) {
+            for (let i = index; i < index + term.length; i++) positions.add(i);
+            found = true;
+            index = lower.indexOf(term, index + term.length);
+        }
+
+        if (!found && fuzzy) {
+            const match = findFuzzyMatch(term, lower.slice(nameStart));
+            if (match) match.positions.forEach(i => positions.add(nameStart + i));
+        }
+    });
+
+    return positions;
+}
@@ -0,0 +1,167 @@
+// Service worker - keeps the app shell available offline.
+//
+// The shell (page, scripts, styles, icons) is precached on install and served
+// cache-first; every cached response is revalidated in the background so the
+// next load picks up a new deployment. metadata.json is fetched network-first
+// so the page still knows when its data is from while offline. Listings are
+// not cached here: the page keeps its own copy in IndexedDB.
+//
+// The worker also serves ZIP archives the page builds (see openStreamZipSink in
+// app.js) as ordinary downloads, relaying the chunks as the page writes them.
+
+const SHELL_CACHE = 'blob-explorer-shell-v1';
+const DATA_CACHE = 'blob-explorer-data-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'data-worker.js',
+    'hash-worker.js',
+    'file-types.js',
+    'search-query.js',
+    'visibility.js',
+    'zip-stream.js',
+    'config.js',
+    'styles.css',
+    'fonts.css',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'assets/favicon-16x16.png',
+    'assets/favicon-32x32.png',
+    'assets/apple-touch-icon.png',
+    'assets/android-chrome-192x192.png',
+    'assets/android-chrome-512x512.png',
+    'assets/blob-explorer-icon.svg',
+    'assets/blob-explorer-logo.svg',
+    'assets/blob-explorer-logo-dark.svg'
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    // Drop caches left behind by older versions of this worker
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ZIP archives the page is about to stream, by download URL
+const zipStreams = new Map();
+
+self.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'zip-stream' && e.ports[0]) {
+        zipStreams.set(e.data.url, { port: e.ports[0], fileName: e.data.fileName });
+        e.ports[0].postMessage({ type: 'ready' });
+    }
+});
+
+self.addEventListener('fetch', (e) => {
+    const request = e.request;
+    const url = new URL(request.url);
+
+    const zipStream = zipStreams.get(request.url);
+    if (zipStream) {
+        zipStreams.delete(request.url);
+        e.respondWith(streamZipDownload(zipStream));
+        return;
+    }
+
+    // Leave blob downloads, the storage proxy and other origins alone
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    const scopePath = new URL(self.registration.scope).pathname;
+    const path = url.pathname.slice(scopePath.length);
+
+    if (path === 'data/metadata.json') {
+        e.respondWith(networkFirst(request));
+    } else if (!path.startsWith('data/')) {
+        // Page navigations (including ?path=/?q= deep links) all render index.html
+        e.respondWith(cacheFirst(request.mode === 'navigate' ? 'index.html' : request));
+    }
+});
+
+// Serve from cache when possible, refreshing the cached copy in the background
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: typeof request === 'string' });
+
+    const refresh = fetch(request, { cache: 'no-cache' })
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        refresh.catch(() => {}); // Offline; keep serving the cached copy
+        return cached;
+    }
+    return refresh;
+}
+
+// Prefer fresh data, falling back to the last copy seen when the network is unavailable
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Relay an archive's chunks from the page as a file download. Each chunk is
+// asked for ('pull') once the download has room for it.
+function streamZipDownload({ port, fileName }) {
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(data.chunk);
+                } else if (data.type === 'close') {
+                    controller.close();
+                    port.close();
+                } else if (data.type === 'abort') {
+                    controller.error(new Error('Download cancelled'));
+                    port.close();
+                }
+            };
+        },
+        pull() {
+            port.postMessage({ type: 'pull' });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+            port.close();
+        }
+    }, new CountQueuingStrategy({ highWaterMark: 8 }));
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        }
+    });
+}
@@ -0,0 +1,99 @@
+// Visibility rules shared by the page (app.js) and the data worker (data-worker.js).
+// Loaded as a classic script in both contexts, so everything here is a plain global.
+// scripts/fetch_blobs.py applies the same rules before publishing the listing.
+//
+// Rules come from the visibility section of config.json:
+//   include        - if not empty, only blobs matching one of these patterns are shown
+//   exclude        - blobs matching any of these patterns are hidden
+//   zeroByteBlobs  - 'hide' (default) or 'show' empty blobs such as folder markers
+//
+// Patterns (case-sensitive):
+//   *.tmp          - no slash: matches any folder or file name in the path
+//   _staging/      - trailing slash: matches folder names only
+//   internal/old   - with a slash: matches from the root, including everything beneath
+//   **/*.sig       - * stays within one folder, ** spans folders, ? is one character
+//   /\.bak$/i      - wrapped in slashes: regular expression tested against the full path
+
+// Active rules (see setVisibilityConfig)
+let visibilityRules = { include: [], exclude: [], showZeroByte: false };
+
+// Convert a glob to regex source: * and ? stay within a folder, ** spans folders
+function globToRegexSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            // "**/" also matches no folders at all
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+// Compile one pattern into a test over blob paths
+function compileVisibilityPattern(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        const re = new RegExp(regex[1], regex[2].includes('i') ? 'i' : '');
+        return path => re.test(path);
+    }
+
+    const folderOnly = pattern.endsWith('/');
+    const glob = pattern.replace(/^\//, '').replace(/\/$/, '');
+
+    // No slash: any folder name (or file name) along the path
+    if (!glob.includes('/')) {
+        const re = new RegExp(`^${globToRegexSource(glob)}$`);
+        return (path) => {
+            const parts = path.split('/');
+            return (folderOnly ? parts.slice(0, -1) : parts).some(part => re.test(part));
+        };
+    }
+
+    // Anchored at the root; matching a folder matches everything beneath it
+    const re = new RegExp(`^${globToRegexSource(glob)}${folderOnly ? '/' : '(?:/|$)'}`);
+    return path => re.test(path);
+}
+
+// Install the visibility section of config.json. Invalid patterns are skipped with a warning.
+function setVisibilityConfig(config) {
+    const compile = patterns => (patterns || []).map(pattern => {
+        try {
+            return compileVisibilityPattern(String(pattern));
+        } catch (e) {
+            console.warn(`Ignoring invalid visibility pattern "${pattern}":`, e.message);
+            return null;
+        }
+    }).filter(Boolean);
+
+    visibilityRules = {
+        include: compile(config && config.include),
+        exclude: compile(config && config.exclude),
+        showZeroByte: !!config && config.zeroByteBlobs === 'show'
+    };
+}
+
+if (typeof window !== 'undefined' && window.APP_CONFIG) {
+    setVisibilityConfig(window.APP_CONFIG.visibility);
+}
+
+// Whether a blob passes the include/exclude patterns and the zero-byte policy
+function isBlobVisible(download) {
+    const { include, exclude, showZeroByte } = visibilityRules;
+
+    if (!showZeroByte && download.Length <= 0) return false;
+    if (include.length > 0 && !include.some(test => test(download.Name))) return false;
+    return !exclude.some(test => test(download.Name));
+}
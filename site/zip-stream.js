@@ -0,0 +1,227 @@
+// Streaming ZIP writer used by the "Download as ZIP" actions in app.js.
+// Loaded as a classic script, so everything here is a plain global.
+//
+// Entries are stored uncompressed (release files are mostly compressed already)
+// and written as their data arrives: each local header is followed by the data
+// and a data descriptor carrying the CRC and sizes, so no entry is ever held in
+// memory. ZIP64 records are used where an entry, an offset or the number of
+// entries outgrows the classic format, so archives over 4 GB open in current tools.
+
+const ZIP_UINT16_MAX = 0xFFFF;
+const ZIP_UINT32_MAX = 0xFFFFFFFF;
+const ZIP_FLAGS = 0x0808; // Sizes and CRC in a data descriptor, UTF-8 names
+
+let crc32Table = null;
+
+// Continue a CRC-32 over more bytes (start from 0)
+function updateCrc32(crc, bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c;
+        }
+    }
+
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+        c = crc32Table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+}
+
+// MS-DOS time and date fields (local time, two-second resolution, 1980 at the earliest)
+function toDosDateTime(date) {
+    if (isNaN(date) || date.getFullYear() < 1980) {
+        return { time: 0, date: (1 << 5) | 1 };
+    }
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Little-endian record builder
+class ZipRecord {
+    constructor(length) {
+        this.bytes = new Uint8Array(length);
+        this.view = new DataView(this.bytes.buffer);
+        this.pos = 0;
+    }
+
+    uint16(value) {
+        this.view.setUint16(this.pos, value, true);
+        this.pos += 2;
+        return this;
+    }
+
+    uint32(value) {
+        this.view.setUint32(this.pos, value, true);
+        this.pos += 4;
+        return this;
+    }
+
+    uint64(value) {
+        this.view.setUint32(this.pos, value % 0x100000000, true);
+        this.view.setUint32(this.pos + 4, Math.floor(value / 0x100000000), true);
+        this.pos += 8;
+        return this;
+    }
+
+    append(bytes) {
+        this.bytes.set(bytes, this.pos);
+        this.pos += bytes.length;
+        return this;
+    }
+}
+
+// Writes an archive through `write(Uint8Array)`, which may return a promise to apply backpressure:
+//   await zip.startEntry('folder/file.bin', { lastModified, size });
+//   await zip.writeEntryData(chunk); ...
+//   await zip.endEntry();
+//   ... more entries ...
+//   await zip.finish();
+class ZipStreamWriter {
+    constructor(write) {
+        this.write = write;
+        this.offset = 0; // Bytes written so far
+        this.entries = []; // Central directory details of finished entries
+        this.entry = null; // Entry being written
+    }
+
+    async writeBytes(bytes) {
+        const length = bytes.length;
+        await this.write(bytes);
+        this.offset += length;
+    }
+
+    // Begin an entry; `size` is the expected size, which decides whether it needs ZIP64 sizes
+    async startEntry(name, { lastModified = new Date(), size = 0 } = {}) {
+        const nameBytes = new TextEncoder().encode(name);
+        const zip64 = size >= ZIP_UINT32_MAX;
+        const { time, date } = toDosDateTime(lastModified);
+
+        const header = new ZipRecord(30 + nameBytes.length + (zip64 ? 20 : 0))
+            .uint32(0x04034B50)
+            .uint16(zip64 ? 45 : 20)
+            .uint16(ZIP_FLAGS)
+            .uint16(0) // Stored
+            .uint16(time)
+            .uint16(date)
+            .uint32(0) // CRC and sizes follow the data
+            .uint32(zip64 ? ZIP_UINT32_MAX : 0)
+            .uint32(zip64 ? ZIP_UINT32_MAX : 0)
+            .uint16(nameBytes.length)
+            .uint16(zip64 ? 20 : 0)
+            .append(nameBytes);
+        if (zip64) {
+            header.uint16(0x0001).uint16(16).uint64(0).uint64(0);
+        }
+
+        this.entry = { nameBytes, zip64, time, date, offset: this.offset, crc: 0, size: 0 };
+        await this.writeBytes(header.bytes);
+    }
+
+    async writeEntryData(bytes) {
+        this.entry.crc = updateCrc32(this.entry.crc, bytes);
+        this.entry.size += bytes.length;
+        await this.writeBytes(bytes);
+    }
+
+    async endEntry() {
+        const entry = this.entry;
+        if (!entry.zip64 && entry.size >= ZIP_UINT32_MAX) {
+            throw new Error('File is larger than its listed size allows');
+        }
+
+        const descriptor = new ZipRecord(entry.zip64 ? 24 : 16)
+            .uint32(0x08074B50)
+            .uint32(entry.crc);
+        if (entry.zip64) {
+            descriptor.uint64(entry.size).uint64(entry.size);
+        } else {
+            descriptor.uint32(entry.size).uint32(entry.size);
+        }
+
+        this.entries.push(entry);
+        this.entry = null;
+        await this.writeBytes(descriptor.bytes);
+    }
+
+    // Write the central directory and end records
+    async finish() {
+        const centralStart = this.offset;
+        for (const entry of this.entries) {
+            await this.writeBytes(this.createCentralHeader(entry));
+        }
+        const centralSize = this.offset - centralStart;
+        const count = this.entries.length;
+
+        if (count >= ZIP_UINT16_MAX || centralStart >= ZIP_UINT32_MAX || centralSize >= ZIP_UINT32_MAX) {
+            const zip64End = this.offset;
+            await this.writeBytes(new ZipRecord(76)
+                .uint32(0x06064B50)
+                .uint64(44) // Size of the rest of this record
+                .uint16(45)
+                .uint16(45)
+                .uint32(0)
+                .uint32(0)
+                .uint64(count)
+                .uint64(count)
+                .uint64(centralSize)
+                .uint64(centralStart)
+                // ZIP64 end of central directory locator
+                .uint32(0x07064B50)
+                .uint32(0)
+                .uint64(zip64End)
+                .uint32(1)
+                .bytes);
+        }
+
+        await this.writeBytes(new ZipRecord(22)
+            .uint32(0x06054B50)
+            .uint16(0)
+            .uint16(0)
+            .uint16(Math.min(count, ZIP_UINT16_MAX))
+            .uint16(Math.min(count, ZIP_UINT16_MAX))
+            .uint32(Math.min(centralSize, ZIP_UINT32_MAX))
+            .uint32(Math.min(centralStart, ZIP_UINT32_MAX))
+            .uint16(0)
+            .bytes);
+    }
+
+    createCentralHeader(entry) {
+        // Values too large for their classic field move to the ZIP64 extra field, in this order
+        const large = [entry.size, entry.size, entry.offset].filter(value => value >= ZIP_UINT32_MAX);
+        const extraLength = large.length > 0 ? 4 + large.length * 8 : 0;
+        const zip64 = entry.zip64 || large.length > 0;
+
+        const header = new ZipRecord(46 + entry.nameBytes.length + extraLength)
+            .uint32(0x02014B50)
+            .uint16((3 << 8) | 45) // Made by Unix, so tools keep the UTF-8 names and file modes
+            .uint16(zip64 ? 45 : 20)
+            .uint16(ZIP_FLAGS)
+            .uint16(0)
+            .uint16(entry.time)
+            .uint16(entry.date)
+            .uint32(entry.crc)
+            .uint32(Math.min(entry.size, ZIP_UINT32_MAX))
+            .uint32(Math.min(entry.size, ZIP_UINT32_MAX))
+            .uint16(entry.nameBytes.length)
+            .uint16(extraLength)
+            .uint16(0) // Comment length
+            .uint16(0) // Disk number
+            .uint16(0) // Internal attributes
+            .uint32((0o100644 << 16) >>> 0) // Regular file, rw-r--r--
+            .uint32(Math.min(entry.offset, ZIP_UINT32_MAX))
+            .append(entry.nameBytes);
+        if (large.length > 0) {
+            header.uint16(0x0001).uint16(large.length * 8);
+            large.forEach(value => header.uint64(value));
+        }
+        return header.bytes;
+    }
+}